@@ -1,19 +1,81 @@
 /* ============================================================
    YuCart — Background Service Worker
-   Handles: currency API, cart storage, badge updates,
-            DNR rules for image loading
+   Handles: currency API, cart/haul storage, badge updates,
+            IndexedDB image store, cross-device cart sync,
+            price watch, context menus, vendor directory,
+            background AI name cleaning, DNR rules for image loading
    ============================================================ */
 
+importScripts('/shared/price-parser.js', '/shared/limits.js', '/shared/storage-keys.js');
+const { extractPriceChoices, stripLeadingPrice } = YuCartPrices;
+const {
+  HAULS_KEY, SETTINGS_KEY, VENDORS_KEY, SYNC_STATUS_KEY,
+  AI_JOBS_KEY, AI_RETRY_KEY, IMAGE_DB_NAME, IMAGE_STORE
+} = YuCartKeys;
+
 const RATE_CACHE_KEY = 'yucart_exchange_rate';
 const RATE_TTL = 6 * 60 * 60 * 1000; // 6 hours
-const CART_KEY = 'yucart_cart';
-const SETTINGS_KEY = 'yucart_settings';
+const CART_KEY = 'yucart_cart'; // legacy single-cart key, migrated into hauls
+const ORDERS_KEY = 'yucart_orders';
+const MAX_ORDERS = 200;
+const UNDO_KEY = 'yucart_undo';
+const UNDO_LIMIT = 30;
+const DEFAULT_HAUL_NAME = 'My Haul';
+const SCHEMA_KEY = 'yucart_schema';
+const QUARANTINE_KEY = 'yucart_quarantine';
+const MAX_QUARANTINE = 100;
 const DNR_RULE_ID = 1;
+const IMAGE_BUDGET_BYTES = 50 * 1024 * 1024; // oldest images evicted past this
+const IMAGE_GC_ALARM = 'yucart_image_gc';
+const IMAGE_GC_INTERVAL_MINUTES = 24 * 60;
+const IMAGE_GC_GRACE_MS = 10 * 60 * 1000; // fresh images may belong to a line not saved yet
 
 const DEFAULT_SETTINGS = {
   targetCurrency: 'USD',
-  darkMode: true  // Dark mode enabled by default
+  darkMode: true,  // Dark mode enabled by default
+  selectedAgent: 'superbuy',
+  aiProvider: 'openai',
+  cartSync: false,
+  priceWatch: false,
+  autoClean: false, // clean titles of newly added lines in the background
+  groupBy: 'vendor' // how the popup groups and subtotals the cart
+};
+const KNOWN_AGENTS = ['superbuy', 'kakobuy', 'sugargoo', 'raw'];
+const KNOWN_AI_PROVIDERS = ['openai', 'openrouter', 'gemini', 'custom'];
+const KNOWN_GROUP_BY = ['vendor', 'category', 'brand'];
+// Custom provider: any OpenAI-compatible chat completions server (self-hosted, localhost)
+const DEFAULT_AI_CUSTOM = { baseUrl: '', model: '', headers: {}, vision: false };
+const AI_CUSTOM_MAX_HEADERS = 10;
+
+// Landed-cost estimate inputs, one profile per agent (amounts in ¥).
+// Rough starting points; users tune them in options.
+const COST_PROFILE_FIELDS = ['serviceFeePercent', 'domesticShipping', 'intlShippingBase', 'intlShippingPerKg', 'paymentFeePercent'];
+const DEFAULT_COST_PROFILE = {
+  serviceFeePercent: 5,   // on goods
+  domesticShipping: 10,   // per seller
+  intlShippingBase: 120,  // per parcel
+  intlShippingPerKg: 70,
+  paymentFeePercent: 3    // on everything charged
 };
+const RAW_COST_PROFILE = { ...DEFAULT_COST_PROFILE, serviceFeePercent: 0, intlShippingBase: 0, intlShippingPerKg: 0 };
+// Grams per item, used when a line has no hand-entered weight
+const DEFAULT_CATEGORY_WEIGHTS = {
+  shoes: 1300,
+  outerwear: 1000,
+  hoodie: 750,
+  pants: 600,
+  tshirt: 250,
+  bag: 800,
+  accessory: 150,
+  other: 500
+};
+// Item categories (set by AI categorization); the same keys as the weights above
+const ITEM_CATEGORIES = Object.keys(DEFAULT_CATEGORY_WEIGHTS);
+const MAX_BRAND_LENGTH = 40;
+const MAX_CLEANED_TITLE_LENGTH = 200;
+const TITLE_HISTORY_LIMIT = 8;
+const MAX_ITEM_WEIGHT = 50000;
+const { MAX_BATCH_ITEMS, MAX_ITEM_PHOTOS } = YuCartLimits;
 
 // ── Update Checking ──────────────────────────────────────────
 const UPDATE_CHECK_ALARM = 'yucart_update_check';
@@ -83,12 +145,21 @@ function scheduleUpdateAlarm() {
   chrome.alarms.create(UPDATE_CHECK_ALARM, {
     periodInMinutes: UPDATE_CHECK_INTERVAL_MINUTES
   });
+  chrome.alarms.create(IMAGE_GC_ALARM, {
+    periodInMinutes: IMAGE_GC_INTERVAL_MINUTES
+  });
 }
 
 // Listen for alarm events
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === UPDATE_CHECK_ALARM) {
     checkForUpdates();
+  } else if (alarm.name === IMAGE_GC_ALARM) {
+    runCartTransaction(collectImageGarbage);
+  } else if (alarm.name === PRICE_WATCH_ALARM) {
+    checkPrices();
+  } else if (alarm.name === AI_JOBS_ALARM) {
+    runAiJobs();
   }
 });
 
@@ -158,194 +229,2790 @@ function normalizeDnrRule(rule) {
   };
 }
 
-async function updateImageRules() {
-  try {
-    const desiredRule = buildImageCorsRule();
-    const dynamicRules = await chrome.declarativeNetRequest.getDynamicRules();
-    const existingRule = dynamicRules.find((rule) => rule.id === DNR_RULE_ID);
+async function updateImageRules() {
+  try {
+    const desiredRule = buildImageCorsRule();
+    const dynamicRules = await chrome.declarativeNetRequest.getDynamicRules();
+    const existingRule = dynamicRules.find((rule) => rule.id === DNR_RULE_ID);
+
+    if (
+      existingRule &&
+      JSON.stringify(normalizeDnrRule(existingRule)) === JSON.stringify(normalizeDnrRule(desiredRule))
+    ) {
+      return;
+    }
+
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: [DNR_RULE_ID],
+      addRules: [desiredRule]
+    });
+    console.log('[YuCart BG] ✅ DNR CORS rules set for photo.yupoo.com');
+  } catch (e) {
+    console.error('[YuCart BG] ❌ Failed to update DNR rules:', e);
+  }
+}
+
+// ── Schema & migrations ──────────────────────────────────────
+// Stored data carries a schema version in SCHEMA_KEY. Migrations run in
+// order, once each, on install/startup (and lazily before the first read).
+// Migrations must use chrome.storage directly, never getHaulState().
+const MIGRATIONS = [
+  { version: 1, description: 'move the legacy single cart into named hauls', run: migrateLegacyCart },
+  { version: 2, description: 'repair cart lines and fill fields added over time', run: migrateItemFields },
+  { version: 3, description: 'fill settings defaults and drop invalid values', run: migrateSettings },
+  { version: 4, description: 'move inline thumbnails into the IndexedDB image store', run: migrateInlineThumbnails }
+];
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+let migrationPromise = null;
+
+function ensureMigrated() {
+  if (!migrationPromise) {
+    migrationPromise = runMigrations().catch((e) => {
+      migrationPromise = null; // retry on next access
+      throw e;
+    });
+  }
+  return migrationPromise;
+}
+
+async function runMigrations() {
+  const result = await chrome.storage.local.get(SCHEMA_KEY);
+  let version = result[SCHEMA_KEY]?.version || 0;
+  if (version > SCHEMA_VERSION) {
+    console.warn(`[YuCart BG] Stored schema v${version} is newer than this build (v${SCHEMA_VERSION})`);
+    return;
+  }
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= version) continue;
+    await migration.run();
+    version = migration.version;
+    await chrome.storage.local.set({ [SCHEMA_KEY]: { version, migratedAt: Date.now() } });
+    console.log(`[YuCart BG] Migrated storage to v${version}: ${migration.description}`);
+  }
+}
+
+async function migrateLegacyCart() {
+  const result = await chrome.storage.local.get([HAULS_KEY, CART_KEY]);
+  const legacy = Array.isArray(result[CART_KEY]) ? result[CART_KEY] : [];
+  const state = result[HAULS_KEY];
+
+  if (state && Array.isArray(state.hauls) && state.hauls.length > 0) {
+    if (legacy.length > 0) state.hauls.push(createHaulRecord('Recovered Cart', legacy));
+    await chrome.storage.local.set({ [HAULS_KEY]: state });
+  } else {
+    const haul = createHaulRecord(DEFAULT_HAUL_NAME, legacy);
+    await chrome.storage.local.set({ [HAULS_KEY]: { activeHaulId: haul.id, hauls: [haul] } });
+  }
+  await chrome.storage.local.remove(CART_KEY);
+}
+
+async function migrateItemFields() {
+  const result = await chrome.storage.local.get([HAULS_KEY, ORDERS_KEY]);
+  const { state, quarantined } = validateHaulState(result[HAULS_KEY]);
+  if (state) await chrome.storage.local.set({ [HAULS_KEY]: state });
+
+  // Archived orders keep their checkout outcome alongside the repaired line
+  if (Array.isArray(result[ORDERS_KEY])) {
+    const orders = result[ORDERS_KEY]
+      .filter(o => o && typeof o === 'object' && Array.isArray(o.items))
+      .map(o => ({
+        ...o,
+        items: o.items
+          .map(i => {
+            const repaired = repairItem(i);
+            return repaired ? { ...repaired, outcome: String(i.outcome || 'uncertain') } : null;
+          })
+          .filter(Boolean)
+      }));
+    await chrome.storage.local.set({ [ORDERS_KEY]: orders });
+  }
+
+  if (quarantined.length > 0) await quarantineEntries(quarantined);
+}
+
+async function migrateSettings() {
+  const result = await chrome.storage.sync.get(SETTINGS_KEY);
+  const stored = result[SETTINGS_KEY];
+  if (!stored || typeof stored !== 'object') return;
+
+  const settings = { ...stored };
+  if (typeof settings.targetCurrency !== 'string' || !/^[A-Z]{3}$/.test(settings.targetCurrency)) {
+    settings.targetCurrency = DEFAULT_SETTINGS.targetCurrency;
+  }
+  if (typeof settings.darkMode !== 'boolean') settings.darkMode = DEFAULT_SETTINGS.darkMode;
+  if (!KNOWN_AGENTS.includes(settings.selectedAgent)) settings.selectedAgent = DEFAULT_SETTINGS.selectedAgent;
+  if (!KNOWN_AI_PROVIDERS.includes(settings.aiProvider)) settings.aiProvider = DEFAULT_SETTINGS.aiProvider;
+  if (typeof settings.aiApiKey !== 'string') settings.aiApiKey = '';
+  await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+}
+
+async function migrateInlineThumbnails() {
+  const result = await chrome.storage.local.get([HAULS_KEY, ORDERS_KEY]);
+
+  const moveInline = async (items) => {
+    for (const item of items || []) {
+      if (typeof item?.thumbnail !== 'string' || !item.thumbnail.startsWith('data:image/')) continue;
+      const imageId = generateId();
+      // Left inline if the store fails: it is the only copy
+      if (await storeImageFromDataUrl(imageId, item.thumbnail)) {
+        item.imageId = imageId;
+        item.thumbnail = '';
+      }
+    }
+  };
+
+  const state = result[HAULS_KEY];
+  if (state && Array.isArray(state.hauls)) {
+    for (const haul of state.hauls) await moveInline(haul?.items);
+    await chrome.storage.local.set({ [HAULS_KEY]: state });
+  }
+  if (Array.isArray(result[ORDERS_KEY])) {
+    for (const order of result[ORDERS_KEY]) await moveInline(order?.items);
+    await chrome.storage.local.set({ [ORDERS_KEY]: result[ORDERS_KEY] });
+  }
+  // Undo entries hold pre-migration copies with inline images
+  await chrome.storage.local.remove(UNDO_KEY);
+}
+
+// ── Validation & quarantine ──────────────────────────────────
+function isWellFormedItem(item) {
+  return !!item && typeof item === 'object' &&
+    typeof item.id === 'string' && item.id.length > 0 &&
+    typeof item.title === 'string' && item.title.trim().length > 0 &&
+    typeof item.price === 'number' && Number.isFinite(item.price) && item.price >= 0 &&
+    Number.isInteger(item.quantity) && item.quantity >= 1 &&
+    typeof item.vendor === 'string' &&
+    typeof item.thumbnail === 'string' &&
+    typeof item.url === 'string' &&
+    typeof item.subtitle === 'string' &&
+    VARIANT_FIELDS.every(f => typeof item[f] === 'string') &&
+    (item.cleanedTitle === undefined || typeof item.cleanedTitle === 'string') &&
+    (item.manualTitle === undefined || (item.manualTitle === true && !!item.cleanedTitle)) &&
+    (item.titleHistory === undefined || isWellFormedTitleHistory(item.titleHistory)) &&
+    (item.imageId === undefined || (typeof item.imageId === 'string' && item.imageId.length > 0)) &&
+    (item.photos === undefined || isWellFormedPhotoList(item.photos)) &&
+    (item.category === undefined || ITEM_CATEGORIES.includes(item.category)) &&
+    (item.brand === undefined || (typeof item.brand === 'string' && item.brand.length > 0 && item.brand.length <= MAX_BRAND_LENGTH)) &&
+    (item.weight === undefined || (Number.isInteger(item.weight) && item.weight > 0 && item.weight <= MAX_ITEM_WEIGHT));
+}
+
+// titleHistory: [{ title, source: 'ai' | 'manual', at }], oldest first
+function isWellFormedTitleEntry(entry) {
+  return !!entry && typeof entry === 'object' &&
+    typeof entry.title === 'string' && entry.title.length > 0 &&
+    (entry.source === 'ai' || entry.source === 'manual') &&
+    typeof entry.at === 'number';
+}
+
+function isWellFormedTitleHistory(history) {
+  return Array.isArray(history) && history.length > 0 && history.length <= TITLE_HISTORY_LIMIT &&
+    history.every(isWellFormedTitleEntry);
+}
+
+// photos: [{ url, imageId? }]: the album image set captured when adding
+function isWellFormedPhoto(photo) {
+  return !!photo && typeof photo === 'object' &&
+    typeof photo.url === 'string' && (photo.url === '' || /^https?:\/\//.test(photo.url)) &&
+    (photo.imageId === undefined || (typeof photo.imageId === 'string' && photo.imageId.length > 0)) &&
+    (photo.url !== '' || photo.imageId !== undefined);
+}
+
+function isWellFormedPhotoList(photos) {
+  return Array.isArray(photos) && photos.length > 0 && photos.length <= MAX_ITEM_PHOTOS &&
+    photos.every(isWellFormedPhoto);
+}
+
+// Returns a well-formed cart line (unknown fields kept) or null if beyond repair
+function repairItem(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const title = typeof raw.title === 'string' || typeof raw.title === 'number'
+    ? String(raw.title).trim() : '';
+  if (!title) return null;
+
+  const price = parseFloat(raw.price);
+  const thumbnail = typeof raw.thumbnail === 'string' &&
+    (raw.thumbnail.startsWith('data:image/') || /^https?:\/\//.test(raw.thumbnail))
+    ? raw.thumbnail : '';
+  const url = typeof raw.url === 'string' && /^https?:\/\//.test(raw.url) ? raw.url : '';
+
+  const item = {
+    ...raw,
+    id: typeof raw.id === 'string' && raw.id ? raw.id : generateId(),
+    title,
+    price: Number.isFinite(price) && price >= 0 ? price : 0,
+    vendor: typeof raw.vendor === 'string' && raw.vendor.trim() ? raw.vendor.trim() : 'Unknown',
+    thumbnail,
+    url,
+    subtitle: typeof raw.subtitle === 'string' ? raw.subtitle.trim() : '',
+    ...normalizeVariant(raw),
+    quantity: Math.max(1, parseInt(raw.quantity, 10) || 1),
+    addedAt: Number(raw.addedAt) || Date.now()
+  };
+  const cleanedTitle = typeof raw.cleanedTitle === 'string' ? raw.cleanedTitle.trim() : '';
+  if (cleanedTitle) item.cleanedTitle = cleanedTitle;
+  else delete item.cleanedTitle;
+  if (!cleanedTitle || raw.manualTitle !== true) delete item.manualTitle;
+  const titleHistory = Array.isArray(raw.titleHistory)
+    ? raw.titleHistory.filter(isWellFormedTitleEntry).slice(-TITLE_HISTORY_LIMIT)
+    : [];
+  if (titleHistory.length) item.titleHistory = titleHistory;
+  else delete item.titleHistory;
+  if (typeof raw.imageId !== 'string' || !raw.imageId) delete item.imageId;
+  const photos = Array.isArray(raw.photos)
+    ? raw.photos.map(p => ({
+      url: typeof p?.url === 'string' && /^https?:\/\//.test(p.url) ? p.url : '',
+      ...(typeof p?.imageId === 'string' && p.imageId ? { imageId: p.imageId } : {})
+    })).filter(isWellFormedPhoto).slice(0, MAX_ITEM_PHOTOS)
+    : [];
+  if (photos.length) item.photos = photos;
+  else delete item.photos;
+  const weight = Number(raw.weight);
+  if (weight > 0 && weight <= MAX_ITEM_WEIGHT) item.weight = Math.round(weight);
+  else delete item.weight;
+  if (!ITEM_CATEGORIES.includes(raw.category)) delete item.category;
+  const brand = normalizeBrand(raw.brand);
+  if (brand) item.brand = brand;
+  else delete item.brand;
+  return item;
+}
+
+// '' for anything that isn't a usable brand name (models answer "Unknown", "N/A"...)
+function normalizeBrand(raw) {
+  const brand = typeof raw === 'string' ? raw.replace(/[<>"&]/g, '').replace(/\s+/g, ' ').trim() : '';
+  if (/^(unknown|none|n\/?a|null|-+|\?+)$/i.test(brand)) return '';
+  return brand.slice(0, MAX_BRAND_LENGTH).trim();
+}
+
+// Returns { state (or null if unusable), changed, quarantined: [...] }
+function validateHaulState(raw) {
+  const quarantined = [];
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.hauls)) {
+    if (raw !== undefined) quarantined.push({ entry: raw, reason: 'haul list is unreadable' });
+    return { state: null, changed: true, quarantined };
+  }
+
+  let changed = false;
+  const hauls = [];
+  for (const haul of raw.hauls) {
+    if (!haul || typeof haul !== 'object') {
+      quarantined.push({ entry: haul, reason: 'haul is not an object' });
+      changed = true;
+      continue;
+    }
+    if (typeof haul.id !== 'string' || !haul.id) { haul.id = generateId(); changed = true; }
+    if (typeof haul.name !== 'string' || !haul.name.trim()) { haul.name = DEFAULT_HAUL_NAME; changed = true; }
+    if (!Array.isArray(haul.items)) {
+      if (haul.items !== undefined) quarantined.push({ haulName: haul.name, entry: haul.items, reason: 'items is not a list' });
+      haul.items = [];
+      changed = true;
+    }
+
+    const seenIds = new Set();
+    const items = [];
+    for (const entry of haul.items) {
+      let item = entry;
+      if (!isWellFormedItem(entry)) {
+        changed = true;
+        item = repairItem(entry);
+        if (!item) {
+          quarantined.push({ haulName: haul.name, entry, reason: 'unrecoverable cart line' });
+          continue;
+        }
+      }
+      if (seenIds.has(item.id)) {
+        item = { ...item, id: generateId() };
+        changed = true;
+      }
+      seenIds.add(item.id);
+      items.push(item);
+    }
+    haul.items = items;
+    hauls.push(haul);
+  }
+
+  raw.hauls = hauls;
+  return { state: hauls.length > 0 ? raw : null, changed, quarantined };
+}
+
+async function quarantineEntries(entries) {
+  const result = await chrome.storage.local.get(QUARANTINE_KEY);
+  const existing = result[QUARANTINE_KEY] || [];
+  const stamped = entries.map(e => ({ ...e, quarantinedAt: Date.now() }));
+  await chrome.storage.local.set({ [QUARANTINE_KEY]: existing.concat(stamped).slice(-MAX_QUARANTINE) });
+  console.warn(`[YuCart BG] Quarantined ${entries.length} corrupt entr${entries.length === 1 ? 'y' : 'ies'}`);
+}
+
+async function getQuarantine() {
+  const result = await chrome.storage.local.get(QUARANTINE_KEY);
+  return result[QUARANTINE_KEY] || [];
+}
+
+// ── Image store (IndexedDB) ──────────────────────────────────
+// Thumbnails are kept as blobs keyed by imageId, outside the cart object.
+// Records: { id, blob, size, kind, storedAt }. The popup reads this DB directly.
+let imageDbPromise = null;
+
+function openImageDb() {
+  if (!imageDbPromise) {
+    imageDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(IMAGE_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(IMAGE_STORE)) {
+          db.createObjectStore(IMAGE_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        imageDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return imageDbPromise;
+}
+
+// Run one request against the image store; resolves with its result once committed
+async function withImageStore(mode, callback) {
+  const db = await openImageDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(IMAGE_STORE, mode);
+    const request = callback(tx.objectStore(IMAGE_STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// kind: 'thumbnail' or 'photo' (album photos are evicted first)
+async function storeImageFromDataUrl(imageId, dataUrl, kind = 'thumbnail') {
+  try {
+    const blob = await (await fetch(dataUrl)).blob();
+    if (!blob.type.startsWith('image/')) return false;
+    await withImageStore('readwrite', store => store.put({
+      id: imageId,
+      blob,
+      size: blob.size,
+      kind,
+      storedAt: Date.now()
+    }));
+    return true;
+  } catch (e) {
+    console.warn('[YuCart BG] Failed to store image:', e.message);
+    return false;
+  }
+}
+
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+async function getImageDataUrl(imageId) {
+  try {
+    const record = await withImageStore('readonly', store => store.get(imageId));
+    if (!record?.blob) return '';
+    return `data:${record.blob.type || 'image/jpeg'};base64,${await blobToBase64(record.blob)}`;
+  } catch {
+    return '';
+  }
+}
+
+async function getImageRecords() {
+  return (await withImageStore('readonly', store => store.getAll())) || [];
+}
+
+async function deleteImages(imageIds) {
+  if (imageIds.length === 0) return;
+  const db = await openImageDb();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(IMAGE_STORE, 'readwrite');
+    const store = tx.objectStore(IMAGE_STORE);
+    imageIds.forEach(id => store.delete(id));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Images stay alive while any haul, archived order or undo entry points at them
+// (as a line's thumbnail or one of its album photos). → { referenced, pinned }:
+// pinned images have no remote URL to fall back on somewhere, so are never evicted
+async function collectReferencedImageIds() {
+  const state = await getHaulState();
+  const [orders, stacks] = await Promise.all([getOrders(), getUndoStacks()]);
+  const referenced = new Set();
+  const pinned = new Set();
+  const add = (imageId, remoteUrl) => {
+    if (!imageId) return;
+    referenced.add(imageId);
+    if (!/^https?:\/\//.test(remoteUrl || '')) pinned.add(imageId);
+  };
+  const addFrom = (items) => items.forEach(i => {
+    add(i?.imageId, i?.thumbnail);
+    (Array.isArray(i?.photos) ? i.photos : []).forEach(p => add(p?.imageId, p?.url));
+  });
+
+  state.hauls.forEach(h => addFrom(h.items));
+  orders.forEach(o => addFrom(o.items));
+  [...stacks.undo, ...stacks.redo].forEach(e => addFrom(Object.values(e.diff?.changed || {})));
+  return { referenced, pinned };
+}
+
+// Run as a cart transaction: lines store their images before they are saved,
+// so GC must not look at the hauls while an add or import is half done
+async function collectImageGarbage() {
+  try {
+    const { referenced, pinned } = await collectReferencedImageIds();
+    const records = await getImageRecords();
+    const now = Date.now();
+    const orphaned = records
+      .filter(r => !referenced.has(r.id) && !(now - r.storedAt < IMAGE_GC_GRACE_MS))
+      .map(r => r.id);
+
+    // Over budget: evict the oldest live images, album photos before thumbnails;
+    // lines fall back to their remote thumbnail / photo URLs. Pinned ones stay.
+    const evictable = records.filter(r => referenced.has(r.id) && !pinned.has(r.id)).sort((a, b) =>
+      (b.kind === 'photo') - (a.kind === 'photo') || a.storedAt - b.storedAt);
+    let total = records.filter(r => referenced.has(r.id)).reduce((sum, r) => sum + (r.size || 0), 0);
+    const evicted = [];
+    while (total > IMAGE_BUDGET_BYTES && evictable.length > 0) {
+      const oldest = evictable.shift();
+      total -= oldest.size || 0;
+      evicted.push(oldest.id);
+    }
+
+    await deleteImages([...orphaned, ...evicted]);
+    if (orphaned.length || evicted.length) {
+      console.log(`[YuCart BG] Image GC: removed ${orphaned.length} orphaned, evicted ${evicted.length}`);
+    }
+    return { removed: orphaned.length, evicted: evicted.length };
+  } catch (e) {
+    console.warn('[YuCart BG] Image GC failed:', e.message);
+    return { removed: 0, evicted: 0 };
+  }
+}
+
+let imageGcTimer = null;
+
+// Debounced GC after destructive edits; the daily alarm covers worker shutdowns
+function scheduleImageGc() {
+  clearTimeout(imageGcTimer);
+  imageGcTimer = setTimeout(() => runCartTransaction(collectImageGarbage), 5000);
+}
+
+async function getImageStats() {
+  const records = await getImageRecords();
+  const estimate = await navigator.storage?.estimate?.() || {};
+  return {
+    count: records.length,
+    bytes: records.reduce((sum, r) => sum + (r.size || 0), 0),
+    budget: IMAGE_BUDGET_BYTES,
+    usage: estimate.usage || 0,
+    quota: estimate.quota || 0
+  };
+}
+
+// ── Cart transactions ──────────────────────────────────────
+// Every read-modify-write of hauls, undo stacks, orders and vendors runs through this
+// queue one at a time, so messages from several tabs, the subtitle scraper and
+// cart sync can't interleave and overwrite each other. A task must never wait
+// on another queued task, or the queue deadlocks.
+let cartQueue = Promise.resolve();
+
+function runCartTransaction(task) {
+  const run = cartQueue.then(task);
+  cartQueue = run.catch(() => {});
+  return run;
+}
+
+// Message actions that mutate cart state; each runs as one transaction
+const CART_MUTATIONS = new Set([
+  'addToCart', 'addToCartBatch', 'removeFromCart', 'updateQuantity', 'updateItemVariant',
+  'updateItemWeight', 'updateItemTitle', 'updateItemTitlesBatch', 'resetItemTitle',
+  'resetCleanedNames', 'clearCart', 'createHaul', 'renameHaul', 'switchHaul', 'deleteHaul',
+  'transferItems', 'undo', 'redo', 'archiveOrder', 'deleteOrder', 'reAddOrderItem', 'importHauls',
+  'dismissPriceChanges', 'recordVendor', 'updateVendor'
+]);
+
+// ── Hauls ──────────────────────────────────────────────────
+// Carts are stored as named hauls: { activeHaulId, hauls: [{ id, name, items }] }.
+// getCart/saveCart operate on the active haul unless a haulId is passed.
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+}
+
+function createHaulRecord(name, items = []) {
+  return {
+    id: generateId(),
+    name: String(name || '').trim() || DEFAULT_HAUL_NAME,
+    items,
+    createdAt: Date.now()
+  };
+}
+
+// Reads are validated: malformed lines are repaired in place or moved to
+// quarantine, so a bad entry can never reach the popup's render().
+async function getHaulState() {
+  await ensureMigrated();
+  const result = await chrome.storage.local.get(HAULS_KEY);
+  const { state, changed, quarantined } = validateHaulState(result[HAULS_KEY]);
+  if (quarantined.length > 0) await quarantineEntries(quarantined);
+
+  if (!state) {
+    const haul = createHaulRecord(DEFAULT_HAUL_NAME);
+    const fresh = { activeHaulId: haul.id, hauls: [haul] };
+    await chrome.storage.local.set({ [HAULS_KEY]: fresh });
+    return fresh;
+  }
+
+  let needsSave = changed;
+  if (!state.hauls.some(h => h.id === state.activeHaulId)) {
+    state.activeHaulId = state.hauls[0].id;
+    needsSave = true;
+  }
+  if (needsSave) await chrome.storage.local.set({ [HAULS_KEY]: state });
+  return state;
+}
+
+// Every save stamps updatedAt on the hauls/lines it changed; cart sync
+// resolves conflicts on those stamps, so applying remote data preserves them.
+async function saveHaulState(state, { preserveTimestamps = false } = {}) {
+  if (!preserveTimestamps) {
+    const previous = await chrome.storage.local.get(HAULS_KEY);
+    stampModified(state, previous[HAULS_KEY]);
+  }
+  await chrome.storage.local.set({ [HAULS_KEY]: state });
+  const active = state.hauls.find(h => h.id === state.activeHaulId);
+  updateBadge(active ? active.items : []);
+  scheduleCartSync();
+}
+
+function itemContentKey(item, haulId) {
+  const { updatedAt, ...content } = item;
+  return JSON.stringify({ ...content, haulId });
+}
+
+function stampModified(state, previous) {
+  const now = Date.now();
+  const prevHauls = new Map();
+  const prevItems = new Map();
+  for (const haul of previous?.hauls || []) {
+    prevHauls.set(haul.id, haul);
+    for (const item of haul.items || []) prevItems.set(item.id, itemContentKey(item, haul.id));
+  }
+  for (const haul of state.hauls) {
+    const prevHaul = prevHauls.get(haul.id);
+    if (!prevHaul || prevHaul.name !== haul.name || !haul.updatedAt) haul.updatedAt = now;
+    for (const item of haul.items) {
+      if (prevItems.get(item.id) !== itemContentKey(item, haul.id) || !item.updatedAt) item.updatedAt = now;
+    }
+  }
+}
+
+function findHaul(state, haulId) {
+  const haul = state.hauls.find(h => h.id === (haulId || state.activeHaulId));
+  if (!haul) throw new Error('Haul not found');
+  return haul;
+}
+
+function summarizeHauls(state) {
+  return {
+    activeHaulId: state.activeHaulId,
+    hauls: state.hauls.map(h => ({
+      id: h.id,
+      name: h.name,
+      itemCount: h.items.reduce((sum, i) => sum + i.quantity, 0),
+      createdAt: h.createdAt
+    }))
+  };
+}
+
+async function createHaul(name, activate = true) {
+  const state = await getHaulState();
+  const haul = createHaulRecord(name);
+  state.hauls.push(haul);
+  if (activate) state.activeHaulId = haul.id;
+  await saveHaulState(state);
+  return state;
+}
+
+async function renameHaul(haulId, name) {
+  const state = await getHaulState();
+  const haul = findHaul(state, haulId);
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('Haul name cannot be empty');
+  haul.name = trimmed;
+  await saveHaulState(state);
+  return state;
+}
+
+async function switchHaul(haulId) {
+  const state = await getHaulState();
+  findHaul(state, haulId);
+  state.activeHaulId = haulId;
+  await saveHaulState(state);
+  return state;
+}
+
+async function deleteHaul(haulId) {
+  const state = await getHaulState();
+  findHaul(state, haulId);
+  if (state.hauls.length <= 1) throw new Error('Cannot delete the only haul');
+  state.hauls = state.hauls.filter(h => h.id !== haulId);
+  if (state.activeHaulId === haulId) {
+    state.activeHaulId = state.hauls[0].id;
+  }
+  await saveHaulState(state);
+  return state;
+}
+
+// Move or copy cart lines into another haul, merging with matching lines there
+async function transferItems(itemIds = [], targetHaulId, mode = 'move', sourceHaulId) {
+  const state = await getHaulState();
+  const source = findHaul(state, sourceHaulId);
+  const target = findHaul(state, targetHaulId);
+  if (source.id === target.id) throw new Error('Source and target haul are the same');
+
+  const ids = new Set(itemIds);
+  const selected = source.items.filter(i => ids.has(i.id));
+  for (const item of selected) {
+    const existing = findMatchingItem(target.items, item);
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      target.items.push({ ...item, id: mode === 'copy' ? generateId() : item.id });
+    }
+  }
+  if (mode === 'move') {
+    source.items = source.items.filter(i => !ids.has(i.id));
+  }
+
+  await saveHaulState(state);
+  return state;
+}
+
+// ── Cart operations ──────────────────────────────────────────
+async function getCart(haulId) {
+  const state = await getHaulState();
+  return findHaul(state, haulId).items;
+}
+
+async function saveCart(cart, haulId) {
+  const state = await getHaulState();
+  findHaul(state, haulId).items = cart;
+  await saveHaulState(state);
+}
+
+// Variant fields stored per cart line; lines only merge when these match too
+const VARIANT_FIELDS = ['size', 'color', 'note'];
+const VARIANT_MAX_LENGTH = { size: 20, color: 30, note: 120 };
+
+function normalizeVariant(source = {}) {
+  const variant = {};
+  for (const field of VARIANT_FIELDS) {
+    variant[field] = String(source[field] || '').trim().slice(0, VARIANT_MAX_LENGTH[field]);
+  }
+  return variant;
+}
+
+function variantsMatch(a, b) {
+  const va = normalizeVariant(a);
+  const vb = normalizeVariant(b);
+  return va.size.toLowerCase() === vb.size.toLowerCase() &&
+    va.color.toLowerCase() === vb.color.toLowerCase() &&
+    va.note === vb.note;
+}
+
+function findMatchingItem(items, item, excludeId = null) {
+  return items.find(i =>
+    i.id !== excludeId &&
+    i.title === item.title && i.vendor === item.vendor && i.price === item.price &&
+    variantsMatch(i, item)
+  );
+}
+
+// photos from the content script: [{ url, data? }], data being a resized data URL.
+// Each stored image gets an imageId; the remote url stays as the fallback.
+async function storeItemPhotos(photos) {
+  if (!Array.isArray(photos)) return [];
+  const stored = [];
+  for (const photo of photos.slice(0, MAX_ITEM_PHOTOS)) {
+    const url = typeof photo?.url === 'string' && /^https?:\/\//.test(photo.url) ? photo.url : '';
+    let imageId;
+    if (typeof photo?.data === 'string' && photo.data.startsWith('data:image/')) {
+      imageId = generateId();
+      if (!await storeImageFromDataUrl(imageId, photo.data, 'photo')) imageId = undefined;
+    }
+    if (url || imageId) stored.push({ url, ...(imageId ? { imageId } : {}) });
+  }
+  return stored;
+}
+
+// Adds one incoming item to `cart`, merging with a matching line; returns the line
+async function addItemToCart(cart, item) {
+  const existing = findMatchingItem(cart, item);
+  if (existing) {
+    existing.quantity += 1;
+    if (!existing.imageId && item.thumbnailData) {
+      const imageId = generateId();
+      if (await storeImageFromDataUrl(imageId, item.thumbnailData)) existing.imageId = imageId;
+    }
+    // A later capture replaces the set (e.g. re-added with more photos picked)
+    const photos = await storeItemPhotos(item.photos);
+    if (photos.length) {
+      existing.photos = photos;
+      scheduleImageGc();
+    }
+    return existing;
+  }
+
+  // thumbnailData: resized image from the content script, kept in IndexedDB
+  let imageId;
+  if (item.thumbnailData) {
+    imageId = generateId();
+    if (!await storeImageFromDataUrl(imageId, item.thumbnailData)) imageId = undefined;
+  }
+  const remoteThumb = typeof item.thumbnail === 'string' && /^https?:\/\//.test(item.thumbnail) ? item.thumbnail : '';
+  const photos = await storeItemPhotos(item.photos);
+  const line = {
+    id: generateId(),
+    title: item.title || 'Untitled Item',
+    price: parseFloat(item.price) || 0,
+    ...(item.priceLabel ? { priceLabel: String(item.priceLabel).trim().slice(0, 40) } : {}),
+    vendor: item.vendor || 'Unknown',
+    thumbnail: remoteThumb,
+    ...(imageId ? { imageId } : {}),
+    ...(photos.length ? { photos } : {}),
+    url: item.url || '',
+    subtitle: item.subtitle || '',
+    ...normalizeVariant(item),
+    quantity: 1,
+    addedAt: Date.now()
+  };
+  cart.push(line);
+  return line;
+}
+
+// If a line has no subtitle (product source link), try to scrape it from the Yupoo album
+function needsSubtitle(line) {
+  return !line.subtitle && line.url && line.url.includes('yupoo.com');
+}
+
+// haulId: defaults to the active haul (the context menu can target any haul)
+async function addToCart(item, haulId) {
+  const targetHaulId = haulId || (await getHaulState()).activeHaulId;
+  const cart = await getCart(targetHaulId);
+  const target = await addItemToCart(cart, item);
+  await saveCart(cart, targetHaulId);
+  await recordVendorsOf([target]);
+
+  if (needsSubtitle(target)) scrapeSubtitle(target.id, target.url, targetHaulId);
+  scheduleAutoClean(targetHaulId, [target]);
+  return cart;
+}
+
+// Several albums in one save (listing "add selected" / "add all")
+async function addItemsToCart(items = []) {
+  if (!Array.isArray(items) || items.length === 0) throw new Error('No items to add');
+  if (items.length > MAX_BATCH_ITEMS) throw new Error(`At most ${MAX_BATCH_ITEMS} items can be added at once`);
+
+  const { activeHaulId } = await getHaulState();
+  const cart = await getCart(activeHaulId);
+  const targets = [];
+  for (const item of items) targets.push(await addItemToCart(cart, item));
+  await saveCart(cart, activeHaulId);
+  await recordVendorsOf(targets);
+
+  // One album page at a time rather than a burst of fetches
+  const pending = [...new Set(targets.filter(needsSubtitle))];
+  (async () => {
+    for (const line of pending) await scrapeSubtitle(line.id, line.url, activeHaulId);
+  })();
+  scheduleAutoClean(activeHaulId, targets);
+  return cart;
+}
+
+// Product source link from an album page's subtitle; '' if none or not a known source site
+function extractSubtitleLink(html) {
+  // Parse the gallerysubtitle anchor's href
+  // Pattern: <a ... href="...external?url=ENCODED_URL..."...> inside gallerysubtitle
+  const subtitleMatch = html.match(
+    /gallerysubtitle[\s\S]*?<a[^>]+href=["']([^"']+)["']/i
+  );
+  if (!subtitleMatch) return '';
+
+  const href = subtitleMatch[1];
+  let productUrl = '';
+
+  // Unwrap Yupoo redirect: /external?url=<encoded>
+  const urlParam = href.match(/[?&]url=([^&]+)/);
+  if (urlParam) {
+    try {
+      productUrl = decodeURIComponent(decodeURIComponent(urlParam[1]));
+    } catch {
+      productUrl = decodeURIComponent(urlParam[1]);
+    }
+  } else {
+    productUrl = href;
+  }
+
+  // Only store if it's a known source site
+  return /weidian\.com|taobao\.com|1688\.com/i.test(productUrl) ? productUrl : '';
+}
+
+// Fetch a Yupoo album page and extract the product source link from the subtitle
+async function scrapeSubtitle(itemId, albumUrl, haulId) {
+  try {
+    const resp = await fetch(albumUrl, { credentials: 'omit' });
+    if (!resp.ok) return;
+    const productUrl = extractSubtitleLink(await resp.text());
+    if (!productUrl) return;
+
+    // Update the cart item's subtitle (in the haul it was added to). The
+    // fetch above ran outside the queue; only the write is a transaction.
+    await runCartTransaction(async () => {
+      const cart = await getCart(haulId);
+      const item = cart.find(i => i.id === itemId);
+      if (item && !item.subtitle) {
+        item.subtitle = productUrl;
+        await saveCart(cart, haulId);
+        console.log('[YuCart BG] Scraped subtitle for', itemId, ':', productUrl);
+      }
+    });
+  } catch (e) {
+    console.warn('[YuCart BG] Subtitle scrape failed:', e.message);
+  }
+}
+
+// itemIds: one id or an array (every line of an album, from the content script)
+async function removeFromCart(itemIds) {
+  const ids = new Set([].concat(itemIds));
+  let cart = await getCart();
+  cart = cart.filter(i => !ids.has(i.id));
+  await saveCart(cart);
+  return cart;
+}
+
+async function updateQuantity(itemId, quantity) {
+  const cart = await getCart();
+  const item = cart.find(i => i.id === itemId);
+  if (item) {
+    item.quantity = Math.max(1, quantity);
+  }
+  await saveCart(cart);
+  return cart;
+}
+
+// Edit a line's size/color/note; if it now matches another line, merge them
+async function updateItemVariant(itemId, variant) {
+  const cart = await getCart();
+  const item = cart.find(i => i.id === itemId);
+  if (!item) return cart;
+
+  Object.assign(item, normalizeVariant(variant));
+  const duplicate = findMatchingItem(cart, item, item.id);
+  if (duplicate) {
+    duplicate.quantity += item.quantity;
+    cart.splice(cart.indexOf(item), 1);
+  }
+  await saveCart(cart);
+  return cart;
+}
+
+// weight: grams entered by hand; null/0 goes back to the category estimate
+async function updateItemWeight(itemId, weight) {
+  const cart = await getCart();
+  const item = cart.find(i => i.id === itemId);
+  if (!item) return cart;
+
+  const grams = Math.round(Number(weight));
+  if (grams > 0 && grams <= MAX_ITEM_WEIGHT) item.weight = grams;
+  else delete item.weight;
+  await saveCart(cart);
+  return cart;
+}
+
+// Sets the shown name and adds it to the line's titleHistory. Names typed by
+// hand are marked manualTitle, which AI cleaning skips until the line is reset.
+function recordCleanedTitle(item, title, source) {
+  item.cleanedTitle = title;
+  item.titleHistory = [...(item.titleHistory || []), { title, source, at: Date.now() }]
+    .slice(-TITLE_HISTORY_LIMIT);
+  if (source === 'manual') item.manualTitle = true;
+  else delete item.manualTitle;
+}
+
+// A name edited in the popup; resetItemTitle goes back to the original
+async function updateItemTitle(itemId, cleanedTitle) {
+  const title = String(cleanedTitle || '').replace(/\s+/g, ' ').trim().slice(0, MAX_CLEANED_TITLE_LENGTH);
+  if (!title) throw new Error('Name cannot be empty');
+
+  const cart = await getCart();
+  const item = cart.find(i => i.id === itemId);
+  if (item && (item.cleanedTitle !== title || !item.manualTitle)) {
+    recordCleanedTitle(item, title, 'manual');
+  }
+  await saveCart(cart);
+  return cart;
+}
+
+// Back to the scraped title; the history is kept
+async function resetItemTitle(itemId) {
+  const cart = await getCart();
+  const item = cart.find(i => i.id === itemId);
+  if (item) {
+    delete item.cleanedTitle;
+    delete item.manualTitle;
+  }
+  await saveCart(cart);
+  return cart;
+}
+
+// haulId: defaults to the active haul (background AI jobs pass their own)
+async function updateItemTitlesBatch(updates = [], haulId) {
+  if (!Array.isArray(updates) || updates.length === 0) {
+    return await getCart(haulId);
+  }
+
+  const cart = await getCart(haulId);
+  const titlesById = new Map();
+  let hasUpdates = false;
+
+  for (const update of updates) {
+    const itemId = String(update?.itemId || '').trim();
+    const cleanedTitle = String(update?.cleanedTitle || '').trim();
+    if (!itemId || !cleanedTitle) continue;
+    titlesById.set(itemId, cleanedTitle);
+  }
+
+  for (const item of cart) {
+    const nextTitle = titlesById.get(item.id);
+    // Edited by hand while the job ran: the user's name wins
+    if (!nextTitle || item.cleanedTitle === nextTitle || item.manualTitle) continue;
+    recordCleanedTitle(item, nextTitle, 'ai');
+    hasUpdates = true;
+  }
+
+  if (hasUpdates) {
+    await saveCart(cart, haulId);
+  }
+  return cart;
+}
+
+// updates: [{ itemId, category, brand }] from an AI categorize job; brand '' clears it
+async function updateItemCategories(updates = [], haulId) {
+  const cart = await getCart(haulId);
+  const updatesById = new Map(updates.map(update => [update.itemId, update]));
+  let hasUpdates = false;
+
+  for (const item of cart) {
+    const update = updatesById.get(item.id);
+    if (!update || !ITEM_CATEGORIES.includes(update.category)) continue;
+    item.category = update.category;
+    const brand = normalizeBrand(update.brand);
+    if (brand) item.brand = brand;
+    else delete item.brand;
+    hasUpdates = true;
+  }
+
+  if (hasUpdates) {
+    await saveCart(cart, haulId);
+  }
+  return cart;
+}
+
+// AI names only; names edited by hand stay until reset one by one
+async function resetCleanedNames() {
+  const cart = await getCart();
+  for (const item of cart) {
+    if (!item.manualTitle) delete item.cleanedTitle;
+  }
+  await saveCart(cart);
+  return cart;
+}
+
+async function clearCart() {
+  await saveCart([]);
+  return [];
+}
+
+// ── Undo / Redo ──────────────────────────────────────────────
+// Each entry stores the pre-mutation line order plus only the lines that
+// changed, so a haul can be rebuilt without keeping full snapshots.
+// Stacks live in storage so they survive the popup and worker restarts.
+function diffItems(before, after) {
+  const afterById = new Map(after.map(i => [i.id, JSON.stringify(i)]));
+  const changed = {};
+  for (const item of before) {
+    if (afterById.get(item.id) !== JSON.stringify(item)) changed[item.id] = item;
+  }
+  return { order: before.map(i => i.id), changed };
+}
+
+function isEmptyDiff(diff, after) {
+  return Object.keys(diff.changed).length === 0 &&
+    diff.order.length === after.length &&
+    diff.order.every((id, idx) => after[idx].id === id);
+}
+
+function applyDiff(current, diff) {
+  const byId = new Map(current.map(i => [i.id, i]));
+  return diff.order.map(id => diff.changed[id] || byId.get(id)).filter(Boolean);
+}
+
+async function getUndoStacks() {
+  const result = await chrome.storage.local.get(UNDO_KEY);
+  return result[UNDO_KEY] || { undo: [], redo: [] };
+}
+
+async function saveUndoStacks(stacks) {
+  await chrome.storage.local.set({
+    [UNDO_KEY]: {
+      undo: stacks.undo.slice(-UNDO_LIMIT),
+      redo: stacks.redo.slice(-UNDO_LIMIT)
+    }
+  });
+}
+
+function summarizeUndo(stacks) {
+  return {
+    canUndo: stacks.undo.length > 0,
+    canRedo: stacks.redo.length > 0,
+    undoLabel: stacks.undo[stacks.undo.length - 1]?.label || '',
+    redoLabel: stacks.redo[stacks.redo.length - 1]?.label || ''
+  };
+}
+
+// Run a mutation of the active haul and record how to reverse it.
+// Callers are already inside a cart transaction (see CART_MUTATIONS).
+// haulId: the haul `mutate` changes and returns the cart of; defaults to the active one
+// undoId: steps sharing one (the batches of an AI job) join into a single entry
+// while it is still the latest one and the haul's lines are the same
+async function withUndo(label, mutate, haulId, undoId) {
+  const targetHaulId = haulId || (await getHaulState()).activeHaulId;
+  const before = structuredClone(await getCart(targetHaulId));
+  const cart = await mutate();
+  const diff = diffItems(before, cart);
+  if (!isEmptyDiff(diff, cart)) {
+    const stacks = await getUndoStacks();
+    const last = stacks.undo[stacks.undo.length - 1];
+    if (undoId && last?.undoId === undoId && last.haulId === targetHaulId &&
+      last.diff.order.join() === diff.order.join()) {
+      // A line's earliest state is the one to restore
+      last.diff.changed = { ...diff.changed, ...last.diff.changed };
+      last.at = Date.now();
+    } else {
+      stacks.undo.push({ haulId: targetHaulId, label, diff, at: Date.now(), ...(undoId ? { undoId } : {}) });
+    }
+    stacks.redo = [];
+    await saveUndoStacks(stacks);
+  }
+  return cart;
+}
+
+// Auto-clean renames lines without an undo entry of its own, so copy the new
+// names into every stored snapshot of those lines; otherwise undoing an
+// unrelated step would bring the raw title back. Snapshots holding a name the
+// user typed are left alone.
+async function carryCleanedTitlesIntoUndo(lines) {
+  const byId = new Map(lines.map(line => [line.id, line]));
+  const stacks = await getUndoStacks();
+  let patched = false;
+  for (const entry of [...stacks.undo, ...stacks.redo]) {
+    for (const [id, snapshot] of Object.entries(entry.diff.changed)) {
+      const line = byId.get(id);
+      if (!line || snapshot.manualTitle) continue;
+      snapshot.cleanedTitle = line.cleanedTitle;
+      snapshot.titleHistory = structuredClone(line.titleHistory);
+      patched = true;
+    }
+  }
+  if (patched) await saveUndoStacks(stacks);
+}
+
+// direction: 'undo' pops from undo and pushes the inverse onto redo (and vice versa)
+async function stepHistory(direction) {
+  const stacks = await getUndoStacks();
+  const from = direction === 'undo' ? stacks.undo : stacks.redo;
+  const to = direction === 'undo' ? stacks.redo : stacks.undo;
+  const entry = from.pop();
+  if (!entry) throw new Error(`Nothing to ${direction}`);
+
+  const state = await getHaulState();
+  const haul = state.hauls.find(h => h.id === entry.haulId);
+  if (!haul) {
+    await saveUndoStacks(stacks);
+    throw new Error('That haul no longer exists');
+  }
+
+  const current = haul.items;
+  const restored = applyDiff(current, entry.diff);
+  to.push({ haulId: entry.haulId, label: entry.label, diff: diffItems(current, restored), at: Date.now() });
+
+  haul.items = restored;
+  state.activeHaulId = haul.id; // show the haul that changed
+  await saveHaulState(state);
+  await saveUndoStacks(stacks);
+  return { state, label: entry.label, ...summarizeUndo(stacks) };
+}
+
+// ── Order archive ────────────────────────────────────────────
+// Checked-out lines move out of the haul into a dated order record,
+// newest first: { id, createdAt, agent, haulName, rate, items: [{ ...item, outcome }] }
+async function getOrders() {
+  const result = await chrome.storage.local.get(ORDERS_KEY);
+  return result[ORDERS_KEY] || [];
+}
+
+async function saveOrders(orders) {
+  await chrome.storage.local.set({ [ORDERS_KEY]: orders.slice(0, MAX_ORDERS) });
+}
+
+// outcomes: [{ itemId, outcome: 'added' | 'opened' | 'uncertain' }]
+async function archiveOrder({ agent, rateData, outcomes = [] }) {
+  const state = await getHaulState();
+  const haul = findHaul(state);
+  const outcomeById = new Map(outcomes.map(o => [o.itemId, o.outcome]));
+  const archived = haul.items.filter(i => outcomeById.has(i.id));
+  if (archived.length === 0) return { state, order: null };
+
+  const order = {
+    id: generateId(),
+    createdAt: Date.now(),
+    agent: agent || 'raw',
+    haulName: haul.name,
+    rate: rateData?.rate ? { rate: rateData.rate, target: rateData.target, fetchedAt: rateData.fetchedAt } : null,
+    totalCny: archived.reduce((sum, i) => sum + i.price * i.quantity, 0),
+    items: archived.map(i => ({ ...i, outcome: outcomeById.get(i.id) }))
+  };
+
+  haul.items = haul.items.filter(i => !outcomeById.has(i.id));
+  const orders = await getOrders();
+  orders.unshift(order);
+  await saveOrders(orders);
+  await saveHaulState(state);
+  return { state, order };
+}
+
+async function deleteOrder(orderId) {
+  const orders = (await getOrders()).filter(o => o.id !== orderId);
+  await saveOrders(orders);
+  return orders;
+}
+
+// Put an archived line back into the active haul (merging with a matching line)
+async function reAddOrderItem(orderId, itemId) {
+  const orders = await getOrders();
+  const order = orders.find(o => o.id === orderId);
+  const archived = order?.items.find(i => i.id === itemId);
+  if (!archived) throw new Error('Order item not found');
+
+  const { outcome, ...item } = archived;
+  const cart = await getCart();
+  mergeItemsInto(cart, [{ ...item, id: generateId(), addedAt: Date.now() }]);
+  await saveCart(cart);
+  return cart;
+}
+
+// ── Vendor directory ─────────────────────────────────────────
+// Every vendor browsed (content script) or added from, keyed by lowercased
+// name since cart lines only carry the name:
+// { [key]: { name, storeUrl, favorite, rating 0–5, notes, firstSeenAt, lastSeenAt } }
+// Spending is derived from the order archive rather than stored.
+const VENDOR_NOTES_MAX_LENGTH = 500;
+const VENDOR_SEEN_THROTTLE_MS = 60 * 60 * 1000; // page views refresh lastSeenAt at most hourly
+
+function vendorKey(name) {
+  const key = String(name || '').trim().toLowerCase();
+  return key === 'unknown' ? '' : key;
+}
+
+function createVendorRecord(name) {
+  return { name: String(name).trim(), storeUrl: '', favorite: false, rating: 0, notes: '', firstSeenAt: null, lastSeenAt: null };
+}
+
+// Store front of a Yupoo album/category URL; '' for anything else
+function vendorStoreUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return /^https?:$/.test(parsed.protocol) && /(^|\.)yupoo\.com$/i.test(parsed.hostname) ? parsed.origin : '';
+  } catch {
+    return '';
+  }
+}
+
+async function getVendors() {
+  const result = await chrome.storage.local.get(VENDORS_KEY);
+  return result[VENDORS_KEY] || {};
+}
+
+// Marks a vendor as seen; returns whether `vendors` changed
+function touchVendor(vendors, name, storeUrl = '') {
+  const key = vendorKey(name);
+  if (!key) return false;
+  const now = Date.now();
+  const entry = vendors[key] || (vendors[key] = createVendorRecord(name));
+  let changed = false;
+  if (!entry.firstSeenAt) {
+    entry.firstSeenAt = now;
+    changed = true;
+  }
+  if (now - (entry.lastSeenAt || 0) > VENDOR_SEEN_THROTTLE_MS) {
+    entry.lastSeenAt = now;
+    changed = true;
+  }
+  if (storeUrl && entry.storeUrl !== storeUrl) {
+    entry.storeUrl = storeUrl;
+    changed = true;
+  }
+  return changed;
+}
+
+// items: cart lines just added; Yupoo lines also give the vendor's store URL
+async function recordVendorsOf(items) {
+  const vendors = await getVendors();
+  let changed = false;
+  for (const item of items) {
+    if (touchVendor(vendors, item.vendor, vendorStoreUrl(item.url))) changed = true;
+  }
+  if (changed) await chrome.storage.local.set({ [VENDORS_KEY]: vendors });
+}
+
+async function recordVendor(name, pageUrl) {
+  await recordVendorsOf([{ vendor: name, url: pageUrl }]);
+}
+
+async function getVendor(name) {
+  const key = vendorKey(name);
+  return key ? (await getVendors())[key] || null : null;
+}
+
+// changes: any of { favorite, rating, notes, storeUrl }
+async function updateVendor(name, changes = {}) {
+  const key = vendorKey(name);
+  if (!key) throw new Error('Vendor name is required');
+  const vendors = await getVendors();
+  const entry = vendors[key] || (vendors[key] = createVendorRecord(name));
+
+  if ('favorite' in changes) entry.favorite = Boolean(changes.favorite);
+  if ('rating' in changes) {
+    const rating = Number(changes.rating);
+    if (!Number.isInteger(rating) || rating < 0 || rating > 5) throw new Error('Rating must be a whole number from 0 to 5');
+    entry.rating = rating;
+  }
+  if ('notes' in changes) entry.notes = String(changes.notes || '').trim().slice(0, VENDOR_NOTES_MAX_LENGTH);
+  if ('storeUrl' in changes) entry.storeUrl = vendorStoreUrl(changes.storeUrl);
+
+  await chrome.storage.local.set({ [VENDORS_KEY]: vendors });
+  return entry;
+}
+
+// Stored vendors plus any only known from hauls or orders, with
+// spent / orderedItems (order archive) and inCart (all hauls).
+// Favorites first, then most recently seen or ordered.
+async function getVendorDirectory() {
+  const vendors = await getVendors();
+  const state = await getHaulState();
+  const orders = await getOrders();
+
+  const directory = new Map();
+  const entryFor = (name) => {
+    const key = vendorKey(name);
+    if (!key) return null;
+    if (!directory.has(key)) {
+      directory.set(key, { ...(vendors[key] || createVendorRecord(name)), spent: 0, orderedItems: 0, inCart: 0, lastOrderAt: null });
+    }
+    return directory.get(key);
+  };
+
+  Object.values(vendors).forEach(v => entryFor(v.name));
+  for (const order of orders) {
+    for (const item of order.items) {
+      const entry = entryFor(item.vendor);
+      if (!entry) continue;
+      entry.spent += item.price * item.quantity;
+      entry.orderedItems += item.quantity;
+      entry.lastOrderAt = Math.max(entry.lastOrderAt || 0, order.createdAt);
+    }
+  }
+  state.hauls.forEach(haul => haul.items.forEach(item => {
+    const entry = entryFor(item.vendor);
+    if (entry) entry.inCart += item.quantity;
+  }));
+
+  const recency = (v) => Math.max(v.lastSeenAt || 0, v.lastOrderAt || 0);
+  return Array.from(directory.values())
+    .map(v => ({ ...v, spent: Math.round(v.spent * 100) / 100 }))
+    .sort((a, b) => (b.favorite - a.favorite) || (recency(b) - recency(a)) || a.name.localeCompare(b.name));
+}
+
+// ── Import / Export ──────────────────────────────────────────
+// Versioned JSON backups of hauls. Bump EXPORT_VERSION when the file
+// layout changes and teach importHauls to read the older shape.
+const EXPORT_FORMAT = 'yucart-export';
+const EXPORT_VERSION = 1;
+
+async function exportHauls(scope = 'active') {
+  const state = await getHaulState();
+  const selected = scope === 'all' ? state.hauls : [findHaul(state)];
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    appVersion: chrome.runtime.getManifest().version,
+    hauls: await Promise.all(selected.map(async h => ({
+      name: h.name,
+      createdAt: h.createdAt,
+      items: await Promise.all(h.items.map(inlineItemImage))
+    })))
+  };
+}
+
+// Exports carry images as data URLs in `thumbnail` so files are self-contained.
+// Album photos travel as their remote URLs only; inlining them would bloat the file.
+async function inlineItemImage(item) {
+  const { imageId, photos, ...rest } = item;
+  const remotePhotos = (photos || []).filter(p => p.url).map(p => ({ url: p.url }));
+  if (remotePhotos.length) rest.photos = remotePhotos;
+  if (!imageId) return rest;
+  const dataUrl = await getImageDataUrl(imageId);
+  return dataUrl ? { ...rest, thumbnail: dataUrl } : rest;
+}
+
+// Kept inline if the store fails, rather than losing the only copy
+async function storeInlineImage(item) {
+  if (!item.thumbnail.startsWith('data:image/')) return;
+  const imageId = generateId();
+  if (await storeImageFromDataUrl(imageId, item.thumbnail)) {
+    item.imageId = imageId;
+    item.thumbnail = '';
+  }
+}
+
+// Imported lines go through the same repair path as stored ones, with fresh ids
+function sanitizeImportedItem(raw) {
+  const item = repairItem(raw);
+  if (item) {
+    item.id = generateId();
+    delete item.imageId; // images only travel inline, as data URLs
+    if (item.photos) {
+      item.photos = item.photos.filter(p => p.url).map(p => ({ url: p.url }));
+      if (item.photos.length === 0) delete item.photos;
+    }
+  }
+  return item;
+}
+
+// Merge lines into a haul's items, combining duplicates (same title/vendor/price/variant)
+function mergeItemsInto(targetItems, items) {
+  for (const item of items) {
+    const existing = findMatchingItem(targetItems, item);
+    if (!existing) {
+      targetItems.push(item);
+      continue;
+    }
+    existing.quantity += item.quantity;
+    if (!existing.cleanedTitle && item.cleanedTitle) {
+      existing.cleanedTitle = item.cleanedTitle;
+      if (item.manualTitle) existing.manualTitle = true;
+      if (item.titleHistory) existing.titleHistory = item.titleHistory;
+    }
+    if (!existing.subtitle && item.subtitle) existing.subtitle = item.subtitle;
+    if (!existing.thumbnail && item.thumbnail) existing.thumbnail = item.thumbnail;
+    if (!existing.imageId && item.imageId) existing.imageId = item.imageId;
+    if (!existing.photos && item.photos) existing.photos = item.photos;
+    if (!existing.category && item.category) {
+      existing.category = item.category;
+      if (item.brand) existing.brand = item.brand;
+    }
+  }
+}
+
+// A single-haul file imports into the active haul; multi-haul files are
+// matched to existing hauls by name (or create them).
+async function importHauls(data, mode = 'merge') {
+  if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT) {
+    throw new Error('Not a YuCart export file');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('Export file has no valid version');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error('Export was created by a newer version of YuCart');
+  }
+  if (!Array.isArray(data.hauls) || data.hauls.length === 0) {
+    throw new Error('Export file contains no hauls');
+  }
+
+  const state = await getHaulState();
+  let imported = 0;
+  const replaced = new Set(); // two hauls of one name both land in the same target
+
+  for (const rawHaul of data.hauls) {
+    const items = (Array.isArray(rawHaul?.items) ? rawHaul.items : [])
+      .map(sanitizeImportedItem)
+      .filter(Boolean);
+    for (const item of items) await storeInlineImage(item);
+
+    let target;
+    if (data.hauls.length === 1) {
+      target = findHaul(state);
+    } else {
+      const name = String(rawHaul?.name || '').trim() || DEFAULT_HAUL_NAME;
+      target = state.hauls.find(h => h.name === name);
+      if (!target) {
+        target = createHaulRecord(name);
+        state.hauls.push(target);
+      }
+    }
+
+    if (mode === 'replace' && !replaced.has(target)) {
+      target.items = [];
+      replaced.add(target);
+    }
+    mergeItemsInto(target.items, items);
+    imported += items.length;
+  }
+
+  await saveHaulState(state);
+  return { state, imported };
+}
+
+// ── Cart sync ────────────────────────────────────────────────
+// Opt-in (settings.cartSync). Each line lives under its own chrome.storage.sync
+// key so no single write approaches QUOTA_BYTES_PER_ITEM; haul names share one
+// key and deletions are recorded as tombstones. Conflicts resolve per line:
+// the newer updatedAt wins. Image blobs stay on the device that captured them.
+const SYNC_ITEM_PREFIX = 'yucart_sync_item_';
+const SYNC_HAULS_KEY = 'yucart_sync_hauls';
+const SYNC_TOMBSTONES_KEY = 'yucart_sync_tombstones';
+const SYNC_META_KEY = 'yucart_sync_meta'; // local: ids present at the last successful sync
+const SYNC_DEBOUNCE_MS = 3000;
+const SYNC_TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+const MAX_SYNC_TOMBSTONES = 200;
+const SYNC_EXCLUDED_FIELDS = ['imageId', 'photos']; // local image store / too big for sync quota
+const SYNC_MAX_THUMBNAIL_URL = 500;
+const SYNC_QUOTA_HEADROOM = 0.9; // leave room for settings and haul names
+
+function toSyncRecord(item, haulId) {
+  const record = { ...item, haulId };
+  SYNC_EXCLUDED_FIELDS.forEach(field => delete record[field]);
+  const thumb = record.thumbnail || '';
+  if (!/^https?:\/\//.test(thumb) || thumb.length > SYNC_MAX_THUMBNAIL_URL) record.thumbnail = '';
+  return record;
+}
+
+// Remote lines carry no image data, so keep whatever this device already has
+function fromSyncRecord(record, localItem) {
+  const { haulId, ...item } = record;
+  if (localItem) {
+    SYNC_EXCLUDED_FIELDS.forEach(field => {
+      if (localItem[field] !== undefined) item[field] = localItem[field];
+    });
+    if (!item.thumbnail && localItem.thumbnail) item.thumbnail = localItem.thumbnail;
+  }
+  return repairItem(item);
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function syncEntryBytes(key, value) {
+  return key.length + JSON.stringify(value).length;
+}
+
+async function setSyncStatus(status) {
+  await chrome.storage.local.set({ [SYNC_STATUS_KEY]: { ...status, updatedAt: Date.now() } });
+}
+
+async function getSyncStatus() {
+  const settings = await getSettings();
+  if (!settings.cartSync) return { state: 'off' };
+  const result = await chrome.storage.local.get(SYNC_STATUS_KEY);
+  return result[SYNC_STATUS_KEY] || { state: 'pending' };
+}
+
+let cartSyncTimer = null;
+
+function scheduleCartSync() {
+  clearTimeout(cartSyncTimer);
+  cartSyncTimer = setTimeout(syncCart, SYNC_DEBOUNCE_MS);
+}
+
+function syncCart() {
+  return runCartTransaction(reconcileCartSync);
+}
+
+async function reconcileCartSync() {
+  const settings = await getSettings();
+  if (!settings.cartSync) return { state: 'off' };
+
+  try {
+    const state = await getHaulState();
+    const remote = await chrome.storage.sync.get(null);
+    const metaResult = await chrome.storage.local.get(SYNC_META_KEY);
+    const meta = metaResult[SYNC_META_KEY] || { itemIds: [], haulIds: [] };
+    const knownItemIds = new Set(meta.itemIds);
+    const knownHaulIds = new Set(meta.haulIds);
+    const now = Date.now();
+
+    const remoteHauls = { ...(remote[SYNC_HAULS_KEY] || {}) };
+    const tombstones = { ...(remote[SYNC_TOMBSTONES_KEY] || {}) };
+    const remoteItems = new Map();
+    for (const [key, value] of Object.entries(remote)) {
+      if (key.startsWith(SYNC_ITEM_PREFIX) && value?.id) remoteItems.set(value.id, value);
+    }
+
+    let localChanged = false;
+    let haulsChanged = false;
+
+    // First sync on this device: fold never-synced hauls into same-named remote
+    // ones, so two fresh installs don't end up with two "My Haul"s
+    for (const haul of state.hauls) {
+      if (knownHaulIds.has(haul.id) || remoteHauls[haul.id]) continue;
+      const match = Object.entries(remoteHauls).find(([id, entry]) =>
+        !entry.deleted && entry.name === haul.name && !state.hauls.some(h => h.id === id));
+      if (!match) continue;
+      if (state.activeHaulId === haul.id) state.activeHaulId = match[0];
+      haul.id = match[0];
+      haul.updatedAt = match[1].updatedAt;
+      haul.items.forEach(item => { item.updatedAt = now; });
+      localChanged = true;
+    }
+
+    // Haul names and deletions
+    for (const haul of [...state.hauls]) {
+      const entry = remoteHauls[haul.id];
+      const localStamp = haul.updatedAt || 0;
+      if (entry?.deleted && entry.updatedAt >= localStamp) {
+        if (state.hauls.length > 1) {
+          state.hauls = state.hauls.filter(h => h.id !== haul.id);
+          localChanged = true;
+        } else {
+          // Never delete the last haul; republish it instead
+          haul.updatedAt = now;
+          remoteHauls[haul.id] = { name: haul.name, updatedAt: now };
+          haulsChanged = true;
+          localChanged = true;
+        }
+      } else if (!entry || localStamp > entry.updatedAt) {
+        remoteHauls[haul.id] = { name: haul.name, updatedAt: localStamp };
+        haulsChanged = true;
+      } else if (entry.updatedAt > localStamp && entry.name !== haul.name) {
+        haul.name = entry.name;
+        haul.updatedAt = entry.updatedAt;
+        localChanged = true;
+      }
+    }
+    for (const [haulId, entry] of Object.entries(remoteHauls)) {
+      if (entry.deleted || state.hauls.some(h => h.id === haulId)) continue;
+      if (knownHaulIds.has(haulId)) {
+        remoteHauls[haulId] = { deleted: true, updatedAt: now };
+        haulsChanged = true;
+      } else {
+        state.hauls.push({ id: haulId, name: entry.name, items: [], createdAt: now, updatedAt: entry.updatedAt });
+        localChanged = true;
+      }
+    }
+    if (!state.hauls.some(h => h.id === state.activeHaulId)) state.activeHaulId = state.hauls[0].id;
+
+    // Lines
+    const localItems = new Map();
+    state.hauls.forEach(haul => haul.items.forEach(item => localItems.set(item.id, { item, haul })));
+
+    const placeLocally = (record, existing) => {
+      const item = fromSyncRecord(record, existing?.item);
+      if (!item) return;
+      if (existing) existing.haul.items = existing.haul.items.filter(i => i.id !== record.id);
+      let target = state.hauls.find(h => h.id === record.haulId);
+      if (!target) {
+        target = { id: record.haulId, name: remoteHauls[record.haulId]?.name || DEFAULT_HAUL_NAME, items: [], createdAt: now, updatedAt: now };
+        state.hauls.push(target);
+      }
+      target.items.push(item);
+      localChanged = true;
+    };
+
+    const writes = {};
+    const removals = [];
+    const ids = new Set([...localItems.keys(), ...remoteItems.keys()]);
+    for (const id of ids) {
+      const local = localItems.get(id);
+      const record = remoteItems.get(id);
+      const key = SYNC_ITEM_PREFIX + id;
+      const deletedAt = tombstones[id];
+
+      if (deletedAt && deletedAt >= (local?.item.updatedAt || 0) && deletedAt >= (record?.updatedAt || 0)) {
+        if (local) {
+          local.haul.items = local.haul.items.filter(i => i.id !== id);
+          localChanged = true;
+        }
+        if (record) removals.push(key);
+        continue;
+      }
+      delete tombstones[id];
+
+      if (local && record) {
+        if ((record.updatedAt || 0) > (local.item.updatedAt || 0)) {
+          placeLocally(record, local);
+        } else {
+          const mine = toSyncRecord(local.item, local.haul.id);
+          if (stableStringify(mine) !== stableStringify(record)) writes[key] = mine;
+        }
+      } else if (local) {
+        writes[key] = toSyncRecord(local.item, local.haul.id);
+      } else if (knownItemIds.has(id)) {
+        // Synced before and gone here: this device deleted it
+        tombstones[id] = now;
+        removals.push(key);
+      } else {
+        placeLocally(record);
+      }
+    }
+
+    // Tombstones expire so the key stays well under QUOTA_BYTES_PER_ITEM
+    const keptTombstones = Object.entries(tombstones)
+      .filter(([, at]) => now - at < SYNC_TOMBSTONE_TTL)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_SYNC_TOMBSTONES);
+    const nextTombstones = Object.fromEntries(keptTombstones);
+
+    // Lines that cannot fit stay local-only; most recently edited lines win the space
+    const quota = chrome.storage.sync.QUOTA_BYTES || 102400;
+    const perItemQuota = chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192;
+    const removed = new Set(removals);
+    let usedBytes = 0;
+    for (const [key, value] of Object.entries(remote)) {
+      if (removed.has(key) || key in writes) continue;
+      if (key === SYNC_HAULS_KEY || key === SYNC_TOMBSTONES_KEY) continue;
+      usedBytes += syncEntryBytes(key, value);
+    }
+    usedBytes += syncEntryBytes(SYNC_HAULS_KEY, remoteHauls) + syncEntryBytes(SYNC_TOMBSTONES_KEY, nextTombstones);
+    let skipped = 0;
+    const pending = Object.entries(writes).sort((a, b) => (b[1].updatedAt || 0) - (a[1].updatedAt || 0));
+    for (const [key, value] of pending) {
+      const bytes = syncEntryBytes(key, value);
+      if (bytes > perItemQuota || usedBytes + bytes > quota * SYNC_QUOTA_HEADROOM) {
+        delete writes[key];
+        skipped++;
+        continue;
+      }
+      usedBytes += bytes;
+    }
+
+    if (haulsChanged) writes[SYNC_HAULS_KEY] = remoteHauls;
+    if (stableStringify(nextTombstones) !== stableStringify(remote[SYNC_TOMBSTONES_KEY] || {})) {
+      writes[SYNC_TOMBSTONES_KEY] = nextTombstones;
+    }
+    if (removals.length > 0) await chrome.storage.sync.remove(removals);
+    if (Object.keys(writes).length > 0) await chrome.storage.sync.set(writes);
+
+    if (localChanged) {
+      await saveHaulState(state, { preserveTimestamps: true });
+      chrome.runtime.sendMessage({ action: 'cartSynced' }).catch(() => {});
+    }
+
+    const syncedIds = [];
+    state.hauls.forEach(haul => haul.items.forEach(item => {
+      const key = SYNC_ITEM_PREFIX + item.id;
+      if (key in writes || (remoteItems.has(item.id) && !removed.has(key))) syncedIds.push(item.id);
+    }));
+    await chrome.storage.local.set({
+      [SYNC_META_KEY]: { itemIds: syncedIds, haulIds: state.hauls.map(h => h.id) }
+    });
+
+    const status = skipped > 0
+      ? { state: 'error', error: `Sync storage full — ${skipped} item${skipped === 1 ? '' : 's'} kept on this device only`, lastSyncedAt: now }
+      : { state: 'ok', lastSyncedAt: now };
+    await setSyncStatus({ ...status, bytes: usedBytes, quota });
+    return status;
+  } catch (e) {
+    console.warn('[YuCart BG] Cart sync failed:', e.message);
+    const status = { state: 'error', error: e.message };
+    await setSyncStatus(status);
+    return status;
+  }
+}
+
+// Remote devices' writes arrive here; so do our own, which reconcile to a no-op
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync') return;
+  const keys = Object.keys(changes);
+  if (keys.includes(SETTINGS_KEY)) {
+    const before = changes[SETTINGS_KEY].oldValue?.cartSync;
+    const after = changes[SETTINGS_KEY].newValue?.cartSync;
+    if (after && !before) scheduleCartSync();
+    if (!after && before) setSyncStatus({ state: 'off' });
+    if (changes[SETTINGS_KEY].oldValue?.priceWatch !== changes[SETTINGS_KEY].newValue?.priceWatch) {
+      schedulePriceWatchAlarm();
+    }
+  }
+  if (keys.some(k => k.startsWith(SYNC_ITEM_PREFIX) || k === SYNC_HAULS_KEY || k === SYNC_TOMBSTONES_KEY)) {
+    scheduleCartSync();
+  }
+});
+
+// ── Price watch ──────────────────────────────────────────────
+// Opt-in (settings.priceWatch). Album pages are re-fetched on an alarm and the
+// price is re-read from the album title. Changes are recorded on the cart line:
+// priceHistory [{ price, at }] plus an unseen priceChange { from, to, at } that
+// the popup shows until dismissed. Per-album check times live in local storage
+// so routine checks don't touch (and re-sync) every cart line.
+const PRICE_WATCH_ALARM = 'yucart_price_watch';
+const PRICE_WATCH_INTERVAL_MINUTES = 12 * 60;
+const PRICE_WATCH_KEY = 'yucart_price_watch';
+const PRICE_WATCH_MAX_ALBUMS = 40; // per run, least recently checked first
+const PRICE_WATCH_FETCH_DELAY_MS = 1500;
+const PRICE_HISTORY_LIMIT = 20;
+const PRICE_WATCH_NOTIFICATION_ID = 'yucart_price_change';
+
+// The album price for a cart line: the option it was added with (priceLabel),
+// else the only price. undefined when the title no longer says.
+function pickWatchedPrice(choices, item) {
+  if (choices.length === 0) return undefined;
+  if (item.priceLabel) return choices.find(c => c.label === item.priceLabel)?.price;
+  if (choices.length === 1) return choices[0].price;
+  return choices.some(c => c.price === item.price) ? item.price : undefined;
+}
+
+function decodeHtmlEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+    }
+    return named[code.toLowerCase()] ?? match;
+  });
+}
+
+// Same element the content script's readYupooAlbum reads the title from
+function extractAlbumTitle(html) {
+  const m = html.match(/class=["'][^"']*showalbumheader__(?:gallerytitle|title)\b[^"']*["'][^>]*>([\s\S]*?)<\/[a-z0-9]+>/i);
+  if (!m) return '';
+  return decodeHtmlEntities(m[1].replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+async function fetchAlbumPrices(albumUrl) {
+  const resp = await fetch(albumUrl, { credentials: 'omit' });
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  const title = extractAlbumTitle(await resp.text());
+  return title ? extractPriceChoices(title) : [];
+}
+
+function isWatchableItem(item) {
+  return /^https?:\/\/[^/]*yupoo\.com\//i.test(item.url || '');
+}
+
+async function getPriceWatchState() {
+  const result = await chrome.storage.local.get(PRICE_WATCH_KEY);
+  return { albums: {}, lastRun: null, ...(result[PRICE_WATCH_KEY] || {}) };
+}
+
+async function schedulePriceWatchAlarm() {
+  const settings = await getSettings();
+  if (!settings.priceWatch) {
+    await chrome.alarms.clear(PRICE_WATCH_ALARM);
+    return;
+  }
+  const existing = await chrome.alarms.get(PRICE_WATCH_ALARM);
+  if (!existing) {
+    chrome.alarms.create(PRICE_WATCH_ALARM, {
+      delayInMinutes: 1,
+      periodInMinutes: PRICE_WATCH_INTERVAL_MINUTES
+    });
+  }
+}
+
+// force: run even when the watch is off (the options page "Check now" button)
+async function checkPrices({ force = false } = {}) {
+  const settings = await getSettings();
+  if (!settings.priceWatch && !force) return null;
+
+  const watch = await getPriceWatchState();
+  const state = await getHaulState();
+  const urls = new Set();
+  state.hauls.forEach(haul => haul.items.forEach(item => {
+    if (isWatchableItem(item)) urls.add(item.url);
+  }));
+  const queue = [...urls]
+    .sort((a, b) => (watch.albums[a] || 0) - (watch.albums[b] || 0))
+    .slice(0, PRICE_WATCH_MAX_ALBUMS);
+
+  // Fetch outside the cart queue; only applying the results is a transaction
+  const prices = new Map(); // album url → price choices
+  let failed = 0;
+  for (const [index, url] of queue.entries()) {
+    if (index > 0) await new Promise(r => setTimeout(r, PRICE_WATCH_FETCH_DELAY_MS));
+    try {
+      const choices = await fetchAlbumPrices(url);
+      if (choices.length > 0) prices.set(url, choices);
+      else failed++;
+    } catch (e) {
+      failed++;
+      console.warn('[YuCart BG] Price check failed for', url, ':', e.message);
+    }
+  }
+
+  const changes = await runCartTransaction(async () => {
+    const current = await getHaulState();
+    const now = Date.now();
+    const changed = [];
+    for (const haul of current.hauls) {
+      for (const item of haul.items) {
+        const choices = prices.get(item.url);
+        const price = choices && pickWatchedPrice(choices, item);
+        if (price === undefined || price === item.price) continue;
+
+        const history = item.priceHistory?.length ? item.priceHistory : [{ price: item.price, at: item.addedAt }];
+        item.priceHistory = [...history, { price, at: now }].slice(-PRICE_HISTORY_LIMIT);
+        const from = item.priceChange ? item.priceChange.from : item.price;
+        if (from === price) delete item.priceChange; // back where it was when last seen
+        else item.priceChange = { from, to: price, at: now };
+        item.price = price;
+        changed.push({ title: item.cleanedTitle || item.title, from, to: price });
+      }
+    }
+    if (changed.length > 0) await saveHaulState(current);
+    return changed;
+  });
+
+  const now = Date.now();
+  queue.forEach(url => { watch.albums[url] = now; });
+  // Forget albums no longer in any haul
+  for (const url of Object.keys(watch.albums)) {
+    if (!urls.has(url)) delete watch.albums[url];
+  }
+  watch.lastRun = { at: now, checked: queue.length, failed, changed: changes.length };
+  await chrome.storage.local.set({ [PRICE_WATCH_KEY]: watch });
+
+  if (changes.length > 0) notifyPriceChanges(changes);
+  return watch.lastRun;
+}
+
+chrome.notifications?.onClicked.addListener((notificationId) => {
+  if (notificationId === PRICE_WATCH_NOTIFICATION_ID) chrome.notifications.clear(notificationId);
+});
+
+function notifyPriceChanges(changes) {
+  const first = changes[0];
+  const name = first.title.length > 40 ? first.title.slice(0, 40) + '…' : first.title;
+  const message = changes.length === 1
+    ? `${name}: ¥${first.from} → ¥${first.to}`
+    : `${changes.length} cart items changed price, including ${name} (¥${first.from} → ¥${first.to})`;
+  chrome.notifications?.create(PRICE_WATCH_NOTIFICATION_ID, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: 'YuCart — price change',
+    message
+  });
+}
+
+// itemIds: lines to acknowledge; omitted = every line in every haul
+async function dismissPriceChanges(itemIds) {
+  const ids = Array.isArray(itemIds) ? new Set(itemIds) : null;
+  const state = await getHaulState();
+  let changed = false;
+  state.hauls.forEach(haul => haul.items.forEach(item => {
+    if (item.priceChange && (!ids || ids.has(item.id))) {
+      delete item.priceChange;
+      changed = true;
+    }
+  }));
+  if (changed) await saveHaulState(state);
+  return state;
+}
+
+// ── AI jobs ──────────────────────────────────────────────────
+// AI name cleaning and categorization run here rather than in the popup, so
+// closing the popup doesn't lose a request. Jobs are persisted under
+// AI_JOBS_KEY and run one at a time; each batch's results are applied to the
+// job's haul as they arrive, all as one undo step. If the worker stops mid-job,
+// the alarm restarts the runner and the job continues with the items it hasn't
+// finished yet. Auto-clean jobs leave no undo step, since nobody asked for them.
+// Job: { id, kind: 'clean' | 'categorize', source: 'user' | 'auto', haulId, pendingIds,
+//        total, batch, batches, completed, failed, retry, error, status, createdAt, updatedAt }
+// status: queued → running → done | failed
+const AI_JOBS_ALARM = 'yucart_ai_jobs';
+const AI_JOB_HISTORY = 10; // finished jobs kept so a reopened popup can show the outcome
+const AI_RETRY_LIMIT = 200;
+const AI_MAX_JOB_ITEMS = 500;
+// Items per AI request, by provider; bigger carts are cleaned in several batches
+const AI_BATCH_SIZES = { openai: 25, openrouter: 15, gemini: 20, custom: 20, customVision: 8 };
+const AI_MAX_ATTEMPTS = 4; // per batch, first try included
+const AI_RETRY_BASE_MS = 2000; // doubled on each retry
+const AI_RETRY_MAX_MS = 60000;
+const AI_IMAGE_MAX_DIMENSION = 320; // images sent to vision models
+const AI_IMAGE_QUALITY = 0.72;
+let aiJobsRunning = false;
+
+// What each job kind asks the model for and how its answers reach the cart.
+// needs(item): the line still wants this job done.
+const AI_TASKS = {
+  clean: {
+    undoLabel: 'Clean titles',
+    finishedMessage: 'All items already cleaned',
+    system: 'You clean up messy e-commerce product names. You always respond with valid JSON only.',
+    needs: item => !item.cleanedTitle,
+    buildPrompt: buildBatchPrompt,
+    visionIntro: `You are identifying products from a Yupoo shopping cart. I will show you each product's current name, link, vendor, and its image.\n\nFor each product, figure out what it actually is by looking at the image and context. Give it a clean, readable name (5 words max). Remove all codes, model numbers, and random characters. Never include codes or numbers in the cleaned name.\n\nRespond with ONLY a JSON array, no markdown fences, no explanation:\n[{"id":"<same id>","cleaned_name":"<cleaned name>"}]`,
+    parseResults: text => parseAIJsonResponse(text).map(result => ({ itemId: result.id, cleanedTitle: result.cleaned_name })),
+    apply: updateItemTitlesBatch
+  },
+  categorize: {
+    undoLabel: 'Categorize items',
+    finishedMessage: 'All items already categorized',
+    system: 'You sort e-commerce products into categories and recognize their brands. You always respond with valid JSON only.',
+    needs: item => !item.category,
+    buildPrompt: buildCategorizePrompt,
+    visionIntro: `You are sorting products from a Yupoo shopping cart. I will show you each product's current name, link, vendor, and its image.\n\nFor each product, pick its category from: ${ITEM_CATEGORIES.join(', ')}. Also name the brand it most likely is (the brand of the original product, e.g. "Nike", "Stone Island"), or "" if you can't tell.\n\nRespond with ONLY a JSON array, no markdown fences, no explanation:\n[{"id":"<same id>","category":"<category>","brand":"<brand>"}]`,
+    parseResults: parseCategoryResponse,
+    apply: updateItemCategories
+  }
+};
+
+async function getAiJobs() {
+  const result = await chrome.storage.local.get(AI_JOBS_KEY);
+  return Array.isArray(result[AI_JOBS_KEY]) ? result[AI_JOBS_KEY] : [];
+}
+
+// Job list read-modify-write, serialized with cart state. Not for use inside
+// another queued task (message actions that call it stay out of CART_MUTATIONS).
+function updateAiJobs(mutate) {
+  return runCartTransaction(async () => {
+    const jobs = await getAiJobs();
+    const result = mutate(jobs);
+    const active = jobs.filter(j => j.status === 'queued' || j.status === 'running');
+    const finished = jobs.filter(j => !active.includes(j)).slice(-AI_JOB_HISTORY);
+    await chrome.storage.local.set({ [AI_JOBS_KEY]: [...active, ...finished] });
+    return result;
+  });
+}
+
+function saveAiJob(job) {
+  return updateAiJobs(jobs => {
+    const index = jobs.findIndex(j => j.id === job.id);
+    if (index !== -1) jobs[index] = { ...job, updatedAt: Date.now() };
+  });
+}
+
+// Hosted providers need a key; a custom server needs a URL and model
+function aiConfigError(settings) {
+  if (settings.aiProvider === 'custom') {
+    return settings.aiCustom.baseUrl && settings.aiCustom.model ? '' : 'Set the AI server URL and model in Settings';
+  }
+  return settings.aiApiKey ? '' : 'Add your AI API key in Settings';
+}
+
+function aiBatchSize(settings) {
+  if (settings.aiProvider === 'custom') {
+    return settings.aiCustom.vision ? AI_BATCH_SIZES.customVision : AI_BATCH_SIZES.custom;
+  }
+  return AI_BATCH_SIZES[settings.aiProvider] || AI_BATCH_SIZES.openai;
+}
+
+// itemIds: lines to process; omitted = every line in the haul the job still applies to.
+// A haul with a job of the same kind already waiting or running gets that job back.
+async function startAiJob({ kind = 'clean', haulId, itemIds, source = 'user' } = {}) {
+  const task = AI_TASKS[kind];
+  if (!task) throw new Error(`Unknown AI job: ${kind}`);
+  const settings = await getSettings();
+  const configError = aiConfigError(settings);
+  if (configError) throw new Error(configError);
+
+  const state = await getHaulState();
+  const haul = findHaul(state, haulId || state.activeHaulId);
+  const wanted = Array.isArray(itemIds) ? new Set(itemIds) : null;
+  const ids = haul.items
+    .filter(item => task.needs(item) && (!wanted || wanted.has(item.id)))
+    .map(item => item.id)
+    .slice(0, AI_MAX_JOB_ITEMS);
+  if (ids.length === 0) throw new Error(task.finishedMessage);
+
+  const job = await updateAiJobs(jobs => {
+    const active = jobs.filter(j => j.kind === kind && j.haulId === haul.id &&
+      (j.status === 'queued' || j.status === 'running'));
+    // Lines already waiting in a job aren't sent twice; new ones join a job that hasn't started
+    const waiting = new Set(active.flatMap(j => j.pendingIds));
+    const fresh = ids.filter(id => !waiting.has(id));
+    const queued = active.find(j => j.status === 'queued' && j.source === source);
+    if (fresh.length === 0) return queued || active[0];
+    if (queued) {
+      queued.pendingIds.push(...fresh);
+      queued.total += fresh.length;
+      queued.batches = Math.ceil(queued.pendingIds.length / aiBatchSize(settings));
+      queued.updatedAt = Date.now();
+      return queued;
+    }
+
+    const created = {
+      id: generateId(),
+      kind,
+      source,
+      haulId: haul.id,
+      pendingIds: fresh,
+      total: fresh.length,
+      batch: 0,
+      batches: Math.ceil(fresh.length / aiBatchSize(settings)),
+      completed: 0,
+      failed: 0,
+      retry: null,
+      error: '',
+      status: 'queued',
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    jobs.push(created);
+    return created;
+  });
+  runAiJobs();
+  return job;
+}
+
+// Runs queued jobs in order; a second call while running is a no-op.
+// The alarm keeps restarting this if the worker is stopped mid-job.
+async function runAiJobs() {
+  if (aiJobsRunning) return;
+  aiJobsRunning = true;
+  try {
+    chrome.alarms.create(AI_JOBS_ALARM, { periodInMinutes: 1 });
+    for (;;) {
+      // Marked running in the same transaction, so later starts don't add to it
+      const job = await updateAiJobs(jobs => {
+        const next = jobs.find(j => j.status === 'running') || jobs.find(j => j.status === 'queued');
+        if (next) Object.assign(next, { status: 'running', updatedAt: Date.now() });
+        return next ? { ...next } : null;
+      });
+      if (!job) break;
+      await processAiJob(job);
+    }
+    await chrome.alarms.clear(AI_JOBS_ALARM);
+  } catch (e) {
+    console.warn('[YuCart BG] AI jobs stopped:', e.message);
+  } finally {
+    aiJobsRunning = false;
+  }
+}
+
+async function processAiJob(job) {
+  const task = AI_TASKS[job.kind];
+  const settings = await getSettings();
+  job.error = task ? aiConfigError(settings) : `Unknown AI job: ${job.kind}`;
+  if (job.error) {
+    await saveAiJob({ ...job, status: 'failed' });
+    return;
+  }
+  const batchSize = aiBatchSize(settings);
+
+  while (job.pendingIds.length > 0) {
+    // Lines removed or handled by other means since the job started are skipped
+    const state = await getHaulState();
+    const haul = state.hauls.find(h => h.id === job.haulId);
+    if (!haul) {
+      job.error = 'That haul no longer exists';
+      break;
+    }
+    const byId = new Map(haul.items.map(item => [item.id, item]));
+    job.pendingIds = job.pendingIds.filter(id => byId.get(id) && task.needs(byId.get(id)));
+    const batch = job.pendingIds.slice(0, batchSize).map(id => byId.get(id));
+    if (batch.length === 0) break;
+    // Resumed jobs count batches from where they stopped
+    job.batch += 1;
+    job.batches = Math.max(job.batches, job.batch + Math.ceil((job.pendingIds.length - batch.length) / batchSize));
+    await saveAiJob(job);
+
+    try {
+      const results = await callAIBatchWithRetry(settings, task, batch.map(toAICartData), (err, attempt, delay) => {
+        job.retry = {
+          reason: err.status === 429 ? 'rate limited' : (err.message || 'failed'),
+          attempt,
+          retries: AI_MAX_ATTEMPTS - 1,
+          at: Date.now() + delay
+        };
+        saveAiJob(job);
+      });
+
+      // Results for ids outside this batch (model mix-ups) are ignored
+      const batchIds = new Set(batch.map(item => item.id));
+      const updates = results.filter(update => batchIds.has(update.itemId));
+      if (updates.length > 0) {
+        await runCartTransaction(async () => {
+          if (job.source !== 'auto') {
+            return withUndo(task.undoLabel, () => task.apply(updates, job.haulId), job.haulId, job.id);
+          }
+          const cart = await task.apply(updates, job.haulId);
+          await carryCleanedTitlesIntoUndo(cart.filter(line => batchIds.has(line.id) && !line.manualTitle));
+          return cart;
+        });
+      } else {
+        job.error = 'No usable answers from the AI';
+      }
+      job.completed += updates.length;
+      job.failed += batch.length - updates.length;
+      const answered = new Set(updates.map(update => update.itemId));
+      await recordAiBatchOutcome(job.kind, job.haulId, [...batchIds],
+        [...batchIds].filter(id => !answered.has(id)), 'No answer for this item');
+    } catch (err) {
+      // One bad batch doesn't stop the rest; its items wait in the retry queue
+      console.warn(`[YuCart BG] AI batch ${job.batch} failed:`, err.message);
+      job.error = err.message || 'AI request failed';
+      job.failed += batch.length;
+      const ids = batch.map(item => item.id);
+      await recordAiBatchOutcome(job.kind, job.haulId, ids, ids, job.error);
+    }
+    job.retry = null;
+    job.pendingIds = job.pendingIds.slice(batch.length);
+  }
+
+  job.status = job.completed === 0 && job.error ? 'failed' : 'done';
+  await saveAiJob(job);
+}
+
+// Lines a job couldn't finish: [{ kind, haulId, itemId, error, failedAt }].
+// Read back without the lines that were removed or finished some other way since.
+async function getAiRetryQueue() {
+  const result = await chrome.storage.local.get(AI_RETRY_KEY);
+  const entries = Array.isArray(result[AI_RETRY_KEY]) ? result[AI_RETRY_KEY] : [];
+  const state = await getHaulState();
+  const lines = new Map(state.hauls.flatMap(haul => haul.items.map(item => [`${haul.id}/${item.id}`, item])));
+  return entries.filter(entry => {
+    const line = lines.get(`${entry?.haulId}/${entry?.itemId}`);
+    return line && AI_TASKS[entry.kind]?.needs(line);
+  });
+}
+
+// One batch's outcome: failed lines join the retry queue, the rest leave it
+function recordAiBatchOutcome(kind, haulId, batchIds, failedIds, error) {
+  return runCartTransaction(async () => {
+    const batch = new Set(batchIds);
+    const entries = (await getAiRetryQueue())
+      .filter(entry => !(entry.kind === kind && entry.haulId === haulId && batch.has(entry.itemId)));
+    const failedAt = Date.now();
+    failedIds.forEach(itemId => entries.push({ kind, haulId, itemId, error, failedAt }));
+    await chrome.storage.local.set({ [AI_RETRY_KEY]: entries.slice(-AI_RETRY_LIMIT) });
+  });
+}
+
+// Starts a job per kind for the haul's queued failures; → the jobs
+async function retryAiFailures(haulId) {
+  const state = await getHaulState();
+  const haul = findHaul(state, haulId);
+  const queue = (await getAiRetryQueue()).filter(entry => entry.haulId === haul.id);
+  if (queue.length === 0) throw new Error('Nothing to retry');
+
+  const jobs = [];
+  for (const kind of new Set(queue.map(entry => entry.kind))) {
+    const itemIds = queue.filter(entry => entry.kind === kind).map(entry => entry.itemId);
+    jobs.push(await startAiJob({ kind, haulId: haul.id, itemIds }));
+  }
+  return jobs;
+}
+
+// Item fields sent to the provider (thumbnail/imageId for vision models)
+function toAICartData(item) {
+  return {
+    id: item.id,
+    name: item.title,
+    ...(item.cleanedTitle ? { cleaned_name: item.cleanedTitle } : {}),
+    link: item.url || '',
+    vendor: item.vendor || '',
+    thumbnail: item.thumbnail || '',
+    imageId: item.imageId || '',
+    subtitle: item.subtitle || ''
+  };
+}
+
+// HTTP failure from a provider; status and Retry-After drive the retry policy
+async function aiHttpError(response) {
+  const body = await response.json().catch(() => ({}));
+  const err = new Error(body.error?.message || `HTTP ${response.status}`);
+  err.status = response.status;
+  const retryAfter = parseFloat(response.headers?.get('Retry-After'));
+  if (retryAfter > 0) err.retryAfterMs = retryAfter * 1000;
+  return err;
+}
+
+// Rate limits, server errors, network failures and unparseable answers are
+// worth another try; other HTTP errors (bad key, unknown model) are not
+function isRetryableAIError(err) {
+  return !err.status || err.status === 408 || err.status === 429 || err.status >= 500;
+}
+
+// onRetry(err, attempt, delayMs) runs before each wait
+async function callAIBatchWithRetry(settings, task, cartData, onRetry) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await callAIBatch(settings, task, cartData);
+    } catch (err) {
+      if (attempt >= AI_MAX_ATTEMPTS || !isRetryableAIError(err)) throw err;
+      const backoff = AI_RETRY_BASE_MS * 2 ** (attempt - 1) + Math.random() * 500;
+      const delay = Math.min(AI_RETRY_MAX_MS, err.retryAfterMs || backoff);
+      onRetry?.(err, attempt, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+function buildBatchPrompt(cartData) {
+  const cartJson = JSON.stringify(cartData.map(({ imageId, ...item }) => item), null, 2);
+  return `Here are products from a Yupoo shopping cart:\n\n${cartJson}\n\nRules:\n- Clean each product name to a readable description (5 words max)\n- Remove all codes, model numbers, random characters, and seller jargon\n- Use the link, vendor, and especially the subtitle (which often contains the real product source URL like Weidian or Taobao) as context clues for what the product is\n- If the name is just a code with no real product info, use the subtitle link, vendor name and guess the product type (e.g. "Nike Sneakers", "Designer Bag")\n- Never include codes or numbers in the cleaned name\n\nRespond with ONLY a JSON array, no markdown, no explanation:\n[{"id":"<same id>","cleaned_name":"<cleaned name>"}]`;
+}
+
+function buildCategorizePrompt(cartData) {
+  const cartJson = JSON.stringify(cartData.map(({ imageId, ...item }) => item), null, 2);
+  return `Here are products from a Yupoo shopping cart:\n\n${cartJson}\n\nRules:\n- Pick exactly one category for each product from: ${ITEM_CATEGORIES.join(', ')}\n- Name the brand the product most likely is (the brand of the original, e.g. "Nike", "Stone Island"), using the name, link, vendor and subtitle as clues\n- Use "" as the brand if you can't tell; never use the vendor's shop name as the brand\n\nRespond with ONLY a JSON array, no markdown, no explanation:\n[{"id":"<same id>","category":"<category>","brand":"<brand>"}]`;
+}
+
+// → the task's updates: [{ itemId, ... }]
+async function callAIBatch(settings, task, cartData) {
+  const prompt = task.buildPrompt(cartData);
+
+  switch (settings.aiProvider) {
+    case 'openrouter':
+      return await callOpenRouterBatch(settings, task, prompt);
+    case 'gemini':
+      return await callGeminiBatch(settings, task, cartData);
+    case 'custom':
+      return await callCustomBatch(settings, task, prompt, cartData);
+    case 'openai':
+    default:
+      return await callOpenAIBatch(settings, task, prompt);
+  }
+}
 
-    if (
-      existingRule &&
-      JSON.stringify(normalizeDnrRule(existingRule)) === JSON.stringify(normalizeDnrRule(desiredRule))
-    ) {
-      return;
+// Finds the JSON array in a model's answer, tolerating code fences, trailing commas and single quotes
+function extractJsonArray(text) {
+  // Strip markdown code fences if present
+  text = text.replace(/```(?:json)?\s*/gi, '').replace(/```\s*/g, '');
+
+  // Find the JSON array by matching balanced brackets
+  const start = text.indexOf('[');
+  if (start === -1) throw new Error('No JSON array in AI response');
+
+  let depth = 0;
+  let end = -1;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '[') depth++;
+    else if (text[i] === ']') {
+      depth--;
+      if (depth === 0) { end = i + 1; break; }
     }
+  }
+  if (end === -1) throw new Error('Malformed JSON array in AI response');
 
-    await chrome.declarativeNetRequest.updateDynamicRules({
-      removeRuleIds: [DNR_RULE_ID],
-      addRules: [desiredRule]
-    });
-    console.log('[YuCart BG] ✅ DNR CORS rules set for photo.yupoo.com');
+  const jsonStr = text.substring(start, end);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonStr);
   } catch (e) {
-    console.error('[YuCart BG] ❌ Failed to update DNR rules:', e);
+    // Try to fix common JSON issues: trailing commas, single quotes
+    const fixed = jsonStr
+      .replace(/,\s*([}\]])/g, '$1')    // trailing commas
+      .replace(/'/g, '"');                // single quotes
+    parsed = JSON.parse(fixed);
   }
+  if (!Array.isArray(parsed)) throw new Error('Response is not an array');
+  return parsed.filter(item => item && typeof item === 'object');
 }
 
-// ── Cart operations ──────────────────────────────────────────
-async function getCart() {
-  const result = await chrome.storage.local.get(CART_KEY);
-  return result[CART_KEY] || [];
+function parseAIJsonResponse(text) {
+  // Sanitize each result - ensure cleaned_name is a plain string
+  return extractJsonArray(text).map(item => ({
+    id: String(item.id || ''),
+    cleaned_name: String(item.cleaned_name || '').replace(/[<>"'&]/g, '').trim()
+  })).filter(item => item.id && item.cleaned_name);
 }
 
-async function saveCart(cart) {
-  await chrome.storage.local.set({ [CART_KEY]: cart });
-  updateBadge(cart);
+// Categories outside the known set count as 'other'
+function parseCategoryResponse(text) {
+  return extractJsonArray(text).map(item => {
+    const category = String(item.category || '').toLowerCase().trim();
+    return {
+      itemId: String(item.id || ''),
+      category: ITEM_CATEGORIES.includes(category) ? category : 'other',
+      brand: normalizeBrand(item.brand)
+    };
+  }).filter(update => update.itemId);
 }
 
-async function addToCart(item) {
-  const cart = await getCart();
-  const existing = cart.find(i =>
-    i.title === item.title && i.vendor === item.vendor && i.price === item.price
-  );
-  if (existing) {
-    existing.quantity += 1;
-  } else {
-    cart.push({
-      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
-      title: item.title || 'Untitled Item',
-      price: parseFloat(item.price) || 0,
-      vendor: item.vendor || 'Unknown',
-      thumbnail: item.thumbnail || '',
-      url: item.url || '',
-      subtitle: item.subtitle || '',
-      quantity: 1,
-      addedAt: Date.now()
-    });
-  }
-  await saveCart(cart);
+async function callOpenAIBatch(settings, task, prompt) {
+  const response = await fetch('https://api.openai.com/v1/chat/completions', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${settings.aiApiKey}`
+    },
+    body: JSON.stringify({
+      model: 'gpt-3.5-turbo',
+      messages: [
+        { role: 'system', content: task.system },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: 2000,
+      temperature: 0.1
+    })
+  });
+
+  if (!response.ok) throw await aiHttpError(response);
+
+  const data = await response.json();
+  const text = data.choices?.[0]?.message?.content?.trim();
+  if (!text) throw new Error('No response from AI');
+  return task.parseResults(text);
+}
+
+async function callOpenRouterBatch(settings, task, prompt) {
+  // Rate limits (429) are retried by callAIBatchWithRetry
+  const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${settings.aiApiKey}`,
+      'HTTP-Referer': 'https://yupoo.com',
+      'X-Title': 'YuCart Extension'
+    },
+    body: JSON.stringify({
+      model: 'z-ai/glm-4.5-air:free',
+      messages: [
+        { role: 'system', content: `${task.system} No thinking, no explanation.` },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: 2000,
+      temperature: 0.1
+    })
+  });
 
-  // If no subtitle (product source link), try to scrape it from the Yupoo detail page
-  const target = existing || cart[cart.length - 1];
-  if (!target.subtitle && target.url && target.url.includes('yupoo.com')) {
-    scrapeSubtitle(target.id, target.url);
+  if (!response.ok) throw await aiHttpError(response);
+
+  const data = await response.json();
+  const message = data.choices?.[0]?.message;
+  let text = message?.content?.trim();
+
+  // GLM 4.5 Air sometimes puts output in reasoning field
+  if (!text && message?.reasoning) {
+    text = message.reasoning;
   }
 
-  return cart;
+  if (!text) throw new Error('No response from AI');
+  console.log('[YuCart BG] AI raw response:', text);
+  return task.parseResults(text);
 }
 
-// Fetch a Yupoo album page and extract the product source link from the subtitle
-async function scrapeSubtitle(itemId, albumUrl) {
+// Downscaled JPEG for vision prompts: { mimeType, base64 } or null
+async function compressImageBlob(blob) {
   try {
-    const resp = await fetch(albumUrl, { credentials: 'omit' });
-    if (!resp.ok) return;
-    const html = await resp.text();
-
-    // Parse the gallerysubtitle anchor's href
-    // Pattern: <a ... href="...external?url=ENCODED_URL..."...> inside gallerysubtitle
-    const subtitleMatch = html.match(
-      /gallerysubtitle[\s\S]*?<a[^>]+href=["']([^"']+)["']/i
-    );
-    if (!subtitleMatch) return;
-
-    const href = subtitleMatch[1];
-    let productUrl = '';
-
-    // Unwrap Yupoo redirect: /external?url=<encoded>
-    const urlParam = href.match(/[?&]url=([^&]+)/);
-    if (urlParam) {
-      try {
-        productUrl = decodeURIComponent(decodeURIComponent(urlParam[1]));
-      } catch {
-        productUrl = decodeURIComponent(urlParam[1]);
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, AI_IMAGE_MAX_DIMENSION / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d', { alpha: false }).drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+    const jpeg = await canvas.convertToBlob({ type: 'image/jpeg', quality: AI_IMAGE_QUALITY });
+    return { mimeType: 'image/jpeg', base64: await blobToBase64(jpeg) };
+  } catch {
+    return null;
+  }
+}
+
+// Stored thumbnail first, else the remote one (sent as-is if it can't be decoded here)
+async function loadItemImageData(item) {
+  try {
+    const record = item.imageId ? await withImageStore('readonly', store => store.get(item.imageId)) : null;
+    let blob = record?.blob;
+    if (!blob && /^https?:\/\//.test(item.thumbnail)) {
+      const resp = await fetch(item.thumbnail);
+      if (resp.ok) blob = await resp.blob();
+    }
+    if (!blob) return null;
+    return await compressImageBlob(blob) ||
+      { mimeType: blob.type || 'image/jpeg', base64: await blobToBase64(blob) };
+  } catch {
+    return null;
+  }
+}
+
+async function callGeminiBatch(settings, task, cartData) {
+  // Build multimodal parts: text prompt + product images
+  const parts = [];
+
+  parts.push({ text: task.visionIntro });
+
+  // Add each item with its image
+  for (const item of cartData) {
+    parts.push({
+      text: `\n--- Product ---\nID: ${item.id}\nCurrent name: ${item.name}${item.cleaned_name ? `\nCleaned name: ${item.cleaned_name}` : ''}\nVendor: ${item.vendor}\nLink: ${item.link}${item.subtitle ? `\nSubtitle/Source: ${item.subtitle}` : ''}`
+    });
+
+    if (item.imageId || item.thumbnail) {
+      const imgData = await loadItemImageData(item);
+      if (imgData) {
+        parts.push({
+          inlineData: {
+            mimeType: imgData.mimeType,
+            data: imgData.base64
+          }
+        });
       }
-    } else {
-      productUrl = href;
     }
+  }
 
-    if (!productUrl) return;
+  const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${settings.aiApiKey}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      contents: [{ parts }],
+      generationConfig: {
+        maxOutputTokens: 2000,
+        temperature: 0.1
+      }
+    })
+  });
+
+  if (!response.ok) throw await aiHttpError(response);
 
-    // Only store if it's a known source site
-    if (!/weidian\.com|taobao\.com|1688\.com/i.test(productUrl)) return;
+  const data = await response.json();
+  const text = data.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
+  if (!text) throw new Error('No response from AI');
+  console.log('[YuCart BG] Gemini raw response:', text);
+  return task.parseResults(text);
+}
 
-    // Update the cart item's subtitle
-    const cart = await getCart();
-    const item = cart.find(i => i.id === itemId);
-    if (item && !item.subtitle) {
-      item.subtitle = productUrl;
-      await saveCart(cart);
-      console.log('[YuCart BG] Scraped subtitle for', itemId, ':', productUrl);
+// Any OpenAI-compatible /chat/completions server (Ollama, LM Studio, vLLM, a
+// company gateway...). With vision on, each item's image follows the prompt
+// as an image_url part labelled with its id.
+async function callCustomBatch(settings, task, prompt, cartData) {
+  const custom = settings.aiCustom;
+  let content = prompt;
+  if (custom.vision) {
+    content = [{ type: 'text', text: prompt }];
+    for (const item of cartData) {
+      if (!item.imageId && !item.thumbnail) continue;
+      const imgData = await loadItemImageData(item);
+      if (!imgData) continue;
+      content.push({ type: 'text', text: `Image for ID ${item.id}:` });
+      content.push({ type: 'image_url', image_url: { url: `data:${imgData.mimeType};base64,${imgData.base64}` } });
     }
-  } catch (e) {
-    console.warn('[YuCart BG] Subtitle scrape failed:', e.message);
   }
+
+  const response = await fetch(`${custom.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      ...custom.headers,
+      'Content-Type': 'application/json',
+      ...(settings.aiApiKey ? { 'Authorization': `Bearer ${settings.aiApiKey}` } : {})
+    },
+    body: JSON.stringify({
+      model: custom.model,
+      messages: [
+        { role: 'system', content: task.system },
+        { role: 'user', content }
+      ],
+      max_tokens: 2000,
+      temperature: 0.1
+    })
+  }).catch(() => {
+    // Network failure or a missing host permission look the same from here
+    throw new Error(`Could not reach ${custom.baseUrl} (check the server and its access in Settings)`);
+  });
+
+  if (!response.ok) throw await aiHttpError(response);
+
+  const data = await response.json();
+  const message = data.choices?.[0]?.message;
+  // Some local reasoning models leave content empty and answer in reasoning_content
+  const text = (message?.content || message?.reasoning_content || '').trim();
+  if (!text) throw new Error('No response from AI');
+  return task.parseResults(text);
 }
 
-async function removeFromCart(itemId) {
-  let cart = await getCart();
-  cart = cart.filter(i => i.id !== itemId);
-  await saveCart(cart);
-  return cart;
+// ── Auto-clean ───────────────────────────────────────────────
+// With settings.autoClean on, new lines get a cleaned title without anyone
+// pressing ★. Adds are collected until AUTO_CLEAN_DELAY_MS pass without
+// another one (also giving the subtitle scrape time to finish), then handed
+// to the AI job queue as one small job. Failures wait in the retry queue.
+const AUTO_CLEAN_DELAY_MS = 4000;
+const AUTO_CLEAN_MAX_ITEMS = 10; // sent right away once this many are waiting
+const autoCleanPending = new Map(); // haulId -> Set of line ids
+let autoCleanTimer = null;
+
+function scheduleAutoClean(haulId, lines) {
+  const pending = autoCleanPending.get(haulId) || new Set();
+  lines.filter(line => !line.cleanedTitle).forEach(line => pending.add(line.id));
+  if (pending.size === 0) return;
+  autoCleanPending.set(haulId, pending);
+
+  const waiting = [...autoCleanPending.values()].reduce((sum, ids) => sum + ids.size, 0);
+  clearTimeout(autoCleanTimer);
+  autoCleanTimer = setTimeout(flushAutoClean, waiting >= AUTO_CLEAN_MAX_ITEMS ? 0 : AUTO_CLEAN_DELAY_MS);
 }
 
-async function updateQuantity(itemId, quantity) {
-  const cart = await getCart();
-  const item = cart.find(i => i.id === itemId);
-  if (item) {
-    item.quantity = Math.max(1, quantity);
+async function flushAutoClean() {
+  autoCleanTimer = null;
+  const pending = [...autoCleanPending];
+  autoCleanPending.clear();
+  const settings = await getSettings();
+  if (!settings.autoClean || aiConfigError(settings)) return;
+
+  for (const [haulId, ids] of pending) {
+    try {
+      // No undo step of its own: the names are written into the stored
+      // snapshots instead (carryCleanedTitlesIntoUndo)
+      await startAiJob({ kind: 'clean', haulId, itemIds: [...ids], source: 'auto' });
+    } catch (e) {
+      // Lines removed or cleaned meanwhile, or the haul is gone
+      console.warn('[YuCart BG] Auto-clean skipped:', e.message);
+    }
   }
-  await saveCart(cart);
-  return cart;
 }
 
-async function updateItemTitle(itemId, cleanedTitle) {
-  const cart = await getCart();
-  const item = cart.find(i => i.id === itemId);
-  if (item) {
-    item.cleanedTitle = cleanedTitle;
+// ── Settings ─────────────────────────────────────────────────
+async function setGroupBy(groupBy) {
+  if (!KNOWN_GROUP_BY.includes(groupBy)) throw new Error('Unknown grouping');
+  const result = await chrome.storage.sync.get(SETTINGS_KEY);
+  await chrome.storage.sync.set({ [SETTINGS_KEY]: { ...(result[SETTINGS_KEY] || {}), groupBy } });
+  return groupBy;
+}
+
+async function getSettings() {
+  const result = await chrome.storage.sync.get(SETTINGS_KEY);
+  const settings = { ...DEFAULT_SETTINGS, ...(result[SETTINGS_KEY] || {}) };
+  settings.costProfiles = normalizeCostProfiles(settings.costProfiles);
+  settings.categoryWeights = normalizeCategoryWeights(settings.categoryWeights);
+  settings.aiCustom = normalizeAiCustom(settings.aiCustom);
+  if (!KNOWN_GROUP_BY.includes(settings.groupBy)) settings.groupBy = DEFAULT_SETTINGS.groupBy;
+  return settings;
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Every known agent gets a full profile; invalid or missing fields fall back to defaults
+function normalizeCostProfiles(raw) {
+  const profiles = {};
+  for (const agent of KNOWN_AGENTS) {
+    const base = agent === 'raw' ? RAW_COST_PROFILE : DEFAULT_COST_PROFILE;
+    const stored = raw && typeof raw === 'object' ? raw[agent] || {} : {};
+    profiles[agent] = {};
+    for (const field of COST_PROFILE_FIELDS) {
+      profiles[agent][field] = isNonNegativeNumber(stored[field]) ? stored[field] : base[field];
+    }
   }
-  await saveCart(cart);
-  return cart;
+  return profiles;
 }
 
-async function updateItemTitlesBatch(updates = []) {
-  if (!Array.isArray(updates) || updates.length === 0) {
-    return await getCart();
+function normalizeCategoryWeights(raw) {
+  const weights = {};
+  for (const [category, grams] of Object.entries(DEFAULT_CATEGORY_WEIGHTS)) {
+    const stored = raw && typeof raw === 'object' ? raw[category] : undefined;
+    weights[category] = isNonNegativeNumber(stored) && stored <= MAX_ITEM_WEIGHT ? stored : grams;
   }
+  return weights;
+}
 
-  const cart = await getCart();
-  const titlesById = new Map();
-  let hasUpdates = false;
+// baseUrl is kept without a trailing slash ('' if not an http(s) URL); header
+// names must be plain tokens. callCustomBatch appends /chat/completions.
+function normalizeAiCustom(raw) {
+  const custom = { ...DEFAULT_AI_CUSTOM, headers: {} };
+  if (!raw || typeof raw !== 'object') return custom;
 
-  for (const update of updates) {
-    const itemId = String(update?.itemId || '').trim();
-    const cleanedTitle = String(update?.cleanedTitle || '').trim();
-    if (!itemId || !cleanedTitle) continue;
-    titlesById.set(itemId, cleanedTitle);
+  const baseUrl = typeof raw.baseUrl === 'string' ? raw.baseUrl.trim().replace(/\/+$/, '') : '';
+  try {
+    if (/^https?:$/.test(new URL(baseUrl).protocol)) custom.baseUrl = baseUrl;
+  } catch {
+    // left empty: the provider counts as not configured
   }
-
-  for (const item of cart) {
-    const nextTitle = titlesById.get(item.id);
-    if (!nextTitle || item.cleanedTitle === nextTitle) continue;
-    item.cleanedTitle = nextTitle;
-    hasUpdates = true;
+  custom.model = typeof raw.model === 'string' ? raw.model.trim().slice(0, 200) : '';
+  if (raw.headers && typeof raw.headers === 'object') {
+    Object.entries(raw.headers)
+      .filter(([name, value]) => /^[A-Za-z0-9-]+$/.test(name) && typeof value === 'string')
+      .slice(0, AI_CUSTOM_MAX_HEADERS)
+      .forEach(([name, value]) => { custom.headers[name] = value.trim(); });
   }
+  custom.vision = raw.vision === true;
+  return custom;
+}
 
-  if (hasUpdates) {
-    await saveCart(cart);
+// ── Context menus ────────────────────────────────────────────
+// Right-click on Yupoo links/images: works for albums the content script
+// gave no button (no price in the title, unusual layouts). The album page is
+// fetched for title/vendor/thumbnail; the tab's content script asks for a
+// price when the title has none (or several) and shows the result toast.
+const MENU_ADD = 'yucart_add';
+const MENU_HAUL = 'yucart_haul';
+const MENU_HAUL_PREFIX = 'yucart_haul:';
+const MENU_LATER = 'yucart_later';
+const MENU_PATTERNS = ['*://*.yupoo.com/*'];
+const SAVED_FOR_LATER_NAME = 'Saved for later';
+const MENU_NOTIFICATION_ID = 'yucart_context_menu';
+let menuHaulSignature = '';
+let menuRebuildTimer = null;
+
+function createMenu(props) {
+  // lastError: duplicate ids when onInstalled and onStartup both run
+  chrome.contextMenus.create({ contexts: ['link', 'image'], documentUrlPatterns: MENU_PATTERNS, ...props },
+    () => void chrome.runtime.lastError);
+}
+
+async function setupContextMenus() {
+  if (!chrome.contextMenus) return;
+  const state = await getHaulState();
+  menuHaulSignature = state.hauls.map(h => `${h.id}:${h.name}`).join('|') + `>${state.activeHaulId}`;
+  await chrome.contextMenus.removeAll();
+  createMenu({ id: MENU_ADD, title: 'Add to YuCart' });
+  createMenu({ id: MENU_HAUL, title: 'Add to haul…' });
+  for (const haul of state.hauls) {
+    const active = haul.id === state.activeHaulId ? ' (active)' : '';
+    createMenu({ id: MENU_HAUL_PREFIX + haul.id, parentId: MENU_HAUL, title: `${haul.name}${active}` });
   }
-  return cart;
+  createMenu({ id: MENU_LATER, title: 'Save for later' });
 }
 
-async function resetCleanedNames() {
-  const cart = await getCart();
-  for (const item of cart) {
-    delete item.cleanedTitle;
+// Rebuild the haul submenu only when haul names/ids or the active haul change
+function scheduleContextMenuRebuild(newState) {
+  const signature = (newState?.hauls || []).map(h => `${h.id}:${h.name}`).join('|') + `>${newState?.activeHaulId}`;
+  if (signature === menuHaulSignature) return;
+  if (menuRebuildTimer) clearTimeout(menuRebuildTimer);
+  menuRebuildTimer = setTimeout(() => {
+    menuRebuildTimer = null;
+    setupContextMenus();
+  }, 500);
+}
+
+// Album URL behind the click: the link, else the album page the image is on
+function contextAlbumUrl(info) {
+  const isAlbum = (url) => /^https?:\/\/[^/]*yupoo\.com\/albums\/\d+/i.test(url || '');
+  if (isAlbum(info.linkUrl)) return info.linkUrl;
+  if (isAlbum(info.pageUrl)) return info.pageUrl;
+  return null;
+}
+
+function vendorFromUrl(url) {
+  const host = new URL(url).hostname;
+  const match = host.match(/^([^.]+)\.x\.yupoo\.com/) || host.match(/^([^.]+)\.yupoo\.com/);
+  return match ? match[1] : host;
+}
+
+// Mirrors what the content script's readYupooAlbum reads from a rendered album page
+async function fetchAlbumItem(albumUrl, srcUrl) {
+  const resp = await fetch(albumUrl, { credentials: 'omit' });
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  const html = await resp.text();
+  const titleText = extractAlbumTitle(html);
+  if (!titleText) throw new Error('No album title on that page');
+
+  const nickname = html.match(/class=["'][^"']*showheader__nickname\b[^"']*["'][^>]*>([\s\S]*?)<\//i);
+  const cover = html.match(/showalbumheader__gallerycover[\s\S]*?<img[^>]+?(?:data-origin-src|data-src|src)=["']([^"']+)["']/i);
+  const coverUrl = cover ? cover[1].replace(/^\/\//, 'https://') : '';
+
+  return {
+    item: {
+      title: stripLeadingPrice(titleText),
+      vendor: nickname ? decodeHtmlEntities(nickname[1].replace(/<[^>]+>/g, '')).trim() || vendorFromUrl(albumUrl) : vendorFromUrl(albumUrl),
+      thumbnail: /^https?:\/\//.test(srcUrl || '') ? srcUrl : coverUrl,
+      url: albumUrl,
+      subtitle: extractSubtitleLink(html)
+    },
+    priceChoices: extractPriceChoices(titleText)
+  };
+}
+
+// Toast in the page when the content script is there, else a notification
+async function reportContextResult(tabId, message) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { action: 'showToast', message });
+  } catch {
+    chrome.notifications?.create(MENU_NOTIFICATION_ID, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: 'YuCart',
+      message
+    });
   }
-  await saveCart(cart);
-  return cart;
 }
 
-async function clearCart() {
-  await saveCart([]);
-  return [];
+async function ensureSavedForLaterHaul() {
+  const state = await getHaulState();
+  const existing = state.hauls.find(h => h.name === SAVED_FOR_LATER_NAME);
+  if (existing) return existing.id;
+  const next = await createHaul(SAVED_FOR_LATER_NAME, false);
+  return next.hauls[next.hauls.length - 1].id;
 }
 
-// ── Settings ─────────────────────────────────────────────────
-async function getSettings() {
-  const result = await chrome.storage.sync.get(SETTINGS_KEY);
-  return { ...DEFAULT_SETTINGS, ...(result[SETTINGS_KEY] || {}) };
+async function handleContextMenuClick(info, tab) {
+  const menuId = String(info.menuItemId);
+  if (menuId !== MENU_ADD && menuId !== MENU_LATER && !menuId.startsWith(MENU_HAUL_PREFIX)) return;
+  const tabId = tab?.id;
+
+  const albumUrl = contextAlbumUrl(info);
+  if (!albumUrl) {
+    await reportContextResult(tabId, 'That link is not a Yupoo album');
+    return;
+  }
+
+  let resolved;
+  try {
+    resolved = await fetchAlbumItem(albumUrl, info.srcUrl);
+  } catch (e) {
+    console.warn('[YuCart BG] Context menu album fetch failed:', e.message);
+    await reportContextResult(tabId, `Could not read that album (${e.message})`);
+    return;
+  }
+
+  // The content script picks the price (prompting if needed) and converts the thumbnail
+  let item;
+  try {
+    const resp = await chrome.tabs.sendMessage(tabId, { action: 'completeContextItem', ...resolved });
+    if (resp?.cancelled) return;
+    item = resp?.item;
+  } catch {
+    // No content script in that tab (e.g. opened before the extension loaded)
+  }
+  if (!item) {
+    if (resolved.priceChoices.length !== 1) {
+      await reportContextResult(tabId, 'No single price found — reload the page and try again to enter one');
+      return;
+    }
+    item = { ...resolved.item, price: resolved.priceChoices[0].price };
+  }
+
+  try {
+    const haulName = await runCartTransaction(async () => {
+      const haulId = menuId === MENU_LATER
+        ? await ensureSavedForLaterHaul()
+        : menuId.startsWith(MENU_HAUL_PREFIX) ? menuId.slice(MENU_HAUL_PREFIX.length) : null;
+      await withUndo('Add item', () => addToCart(item, haulId), haulId);
+      return findHaul(await getHaulState(), haulId).name;
+    });
+    await reportContextResult(tabId, `Added to "${haulName}" — ¥${item.price}`);
+  } catch (e) {
+    await reportContextResult(tabId, e.message);
+  }
 }
 
+chrome.contextMenus?.onClicked.addListener((info, tab) => {
+  handleContextMenuClick(info, tab);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[HAULS_KEY]) scheduleContextMenuRebuild(changes[HAULS_KEY].newValue);
+});
+
 // ── Badge ────────────────────────────────────────────────────
 function updateBadge(cart) {
   const count = cart.reduce((sum, i) => sum + i.quantity, 0);
@@ -355,14 +3022,21 @@ function updateBadge(cart) {
 
 // ── Init ─────────────────────────────────────────────────────
 chrome.runtime.onStartup?.addListener(async () => {
+  await ensureMigrated();
   const cart = await getCart();
   updateBadge(cart);
   await updateImageRules();
   checkForUpdates();
   scheduleUpdateAlarm();
+  runCartTransaction(collectImageGarbage);
+  scheduleCartSync();
+  schedulePriceWatchAlarm();
+  setupContextMenus();
+  runAiJobs();
 });
 
 chrome.runtime.onInstalled.addListener(async () => {
+  await ensureMigrated();
   const cart = await getCart();
   updateBadge(cart);
   const settings = await getSettings();
@@ -370,16 +3044,46 @@ chrome.runtime.onInstalled.addListener(async () => {
   await updateImageRules();
   checkForUpdates();
   scheduleUpdateAlarm();
+  schedulePriceWatchAlarm();
+  setupContextMenus();
 });
 
 // ── Message handler ──────────────────────────────────────────
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  (async () => {
+  const handle = async () => {
     try {
       switch (msg.action) {
         case 'addToCart': {
-          const cart = await addToCart(msg.item);
-          sendResponse({ success: true, cart });
+          const cart = await withUndo('Add item', () => addToCart(msg.item));
+          const state = await getHaulState();
+          const haulName = findHaul(state).name;
+          sendResponse({ success: true, cart, haulName });
+          break;
+        }
+        case 'addToCartBatch': {
+          const items = Array.isArray(msg.items) ? msg.items : [];
+          const cart = await withUndo(`Add ${items.length} items`, () => addItemsToCart(items));
+          const state = await getHaulState();
+          const haulName = findHaul(state).name;
+          sendResponse({ success: true, cart, haulName, added: items.length });
+          break;
+        }
+        case 'recordVendor': {
+          await recordVendor(msg.name, msg.pageUrl);
+          sendResponse({ success: true });
+          break;
+        }
+        case 'getVendor': {
+          sendResponse({ vendor: await getVendor(msg.name) });
+          break;
+        }
+        case 'getVendorDirectory': {
+          sendResponse({ vendors: await getVendorDirectory() });
+          break;
+        }
+        case 'updateVendor': {
+          const vendor = await updateVendor(msg.name, msg.changes);
+          sendResponse({ success: true, vendor });
           break;
         }
         case 'getCart': {
@@ -388,35 +3092,196 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           break;
         }
         case 'removeFromCart': {
-          const cart = await removeFromCart(msg.itemId);
+          const ids = Array.isArray(msg.itemIds) ? msg.itemIds : [msg.itemId];
+          const label = ids.length > 1 ? `Remove ${ids.length} items` : 'Remove item';
+          const cart = await withUndo(label, () => removeFromCart(ids));
+          scheduleImageGc();
           sendResponse({ success: true, cart });
           break;
         }
         case 'updateQuantity': {
-          const cart = await updateQuantity(msg.itemId, msg.quantity);
+          const cart = await withUndo('Change quantity', () => updateQuantity(msg.itemId, msg.quantity));
+          sendResponse({ success: true, cart });
+          break;
+        }
+        case 'updateItemVariant': {
+          const cart = await withUndo('Edit variant', () => updateItemVariant(msg.itemId, msg.variant));
+          sendResponse({ success: true, cart });
+          break;
+        }
+        case 'updateItemWeight': {
+          const cart = await withUndo('Edit weight', () => updateItemWeight(msg.itemId, msg.weight));
           sendResponse({ success: true, cart });
           break;
         }
         case 'updateItemTitle': {
-          const cart = await updateItemTitle(msg.itemId, msg.cleanedTitle);
+          const cart = await withUndo('Edit name', () => updateItemTitle(msg.itemId, msg.cleanedTitle));
+          sendResponse({ success: true, cart });
+          break;
+        }
+        case 'resetItemTitle': {
+          const cart = await withUndo('Reset name', () => resetItemTitle(msg.itemId));
           sendResponse({ success: true, cart });
           break;
         }
         case 'updateItemTitlesBatch': {
-          const cart = await updateItemTitlesBatch(msg.updates);
+          const cart = await withUndo('Clean titles', () => updateItemTitlesBatch(msg.updates));
           sendResponse({ success: true, cart });
           break;
         }
         case 'resetCleanedNames': {
-          const cart = await resetCleanedNames();
+          const cart = await withUndo('Reset names', () => resetCleanedNames());
           sendResponse({ success: true, cart });
           break;
         }
         case 'clearCart': {
-          const cart = await clearCart();
+          const cart = await withUndo('Clear cart', () => clearCart());
+          scheduleImageGc();
+          sendResponse({ success: true, cart });
+          break;
+        }
+        case 'getHauls': {
+          const state = await getHaulState();
+          sendResponse(summarizeHauls(state));
+          break;
+        }
+        case 'createHaul': {
+          const state = await createHaul(msg.name, msg.activate !== false);
+          sendResponse({ success: true, ...summarizeHauls(state), cart: findHaul(state).items });
+          break;
+        }
+        case 'renameHaul': {
+          const state = await renameHaul(msg.haulId, msg.name);
+          sendResponse({ success: true, ...summarizeHauls(state) });
+          break;
+        }
+        case 'switchHaul': {
+          const state = await switchHaul(msg.haulId);
+          sendResponse({ success: true, ...summarizeHauls(state), cart: findHaul(state).items });
+          break;
+        }
+        case 'deleteHaul': {
+          const state = await deleteHaul(msg.haulId);
+          scheduleImageGc();
+          sendResponse({ success: true, ...summarizeHauls(state), cart: findHaul(state).items });
+          break;
+        }
+        case 'transferItems': {
+          const state = await transferItems(msg.itemIds, msg.targetHaulId, msg.mode, msg.sourceHaulId);
+          sendResponse({ success: true, ...summarizeHauls(state), cart: findHaul(state).items });
+          break;
+        }
+        case 'getSyncStatus': {
+          sendResponse(await getSyncStatus());
+          break;
+        }
+        case 'syncNow': {
+          const status = await syncCart();
+          const state = await getHaulState();
+          sendResponse({ success: true, status, ...summarizeHauls(state), cart: findHaul(state).items });
+          break;
+        }
+        case 'checkPricesNow': {
+          const result = await checkPrices({ force: true });
+          const state = await getHaulState();
+          sendResponse({ success: true, result, cart: findHaul(state).items });
+          break;
+        }
+        case 'getPriceWatchStatus': {
+          const watch = await getPriceWatchState();
+          sendResponse({ lastRun: watch.lastRun });
+          break;
+        }
+        case 'dismissPriceChanges': {
+          const state = await dismissPriceChanges(msg.itemIds);
+          sendResponse({ success: true, cart: findHaul(state).items });
+          break;
+        }
+        case 'startAiJob': {
+          // Not in CART_MUTATIONS: the job list has its own transactions
+          const job = await startAiJob({ kind: msg.kind, haulId: msg.haulId, itemIds: msg.itemIds });
+          sendResponse({ success: true, job });
+          break;
+        }
+        case 'getAiJobs': {
+          const jobs = await getAiJobs();
+          sendResponse({ jobs });
+          break;
+        }
+        case 'getAiRetryQueue': {
+          const entries = await getAiRetryQueue();
+          sendResponse({ entries });
+          break;
+        }
+        case 'retryAiFailures': {
+          const jobs = await retryAiFailures(msg.haulId);
+          sendResponse({ success: true, jobs });
+          break;
+        }
+        case 'getImageStats': {
+          const stats = await getImageStats();
+          sendResponse({ stats });
+          break;
+        }
+        case 'collectImageGarbage': {
+          const result = await runCartTransaction(collectImageGarbage);
+          const stats = await getImageStats();
+          sendResponse({ success: true, ...result, stats });
+          break;
+        }
+        case 'getQuarantine': {
+          const entries = await getQuarantine();
+          sendResponse({ entries });
+          break;
+        }
+        case 'clearQuarantine': {
+          await chrome.storage.local.remove(QUARANTINE_KEY);
+          sendResponse({ success: true });
+          break;
+        }
+        case 'getUndoState': {
+          const stacks = await getUndoStacks();
+          sendResponse(summarizeUndo(stacks));
+          break;
+        }
+        case 'undo':
+        case 'redo': {
+          const { state, ...result } = await stepHistory(msg.action);
+          sendResponse({ success: true, ...result, ...summarizeHauls(state), cart: findHaul(state).items });
+          break;
+        }
+        case 'getOrders': {
+          const orders = await getOrders();
+          sendResponse({ orders });
+          break;
+        }
+        case 'archiveOrder': {
+          const { state, order } = await archiveOrder(msg);
+          sendResponse({ success: true, order, ...summarizeHauls(state), cart: findHaul(state).items });
+          break;
+        }
+        case 'deleteOrder': {
+          const orders = await deleteOrder(msg.orderId);
+          scheduleImageGc();
+          sendResponse({ success: true, orders });
+          break;
+        }
+        case 'reAddOrderItem': {
+          const cart = await reAddOrderItem(msg.orderId, msg.itemId);
           sendResponse({ success: true, cart });
           break;
         }
+        case 'exportHauls': {
+          const data = await exportHauls(msg.scope);
+          sendResponse({ data });
+          break;
+        }
+        case 'importHauls': {
+          const { state, imported } = await importHauls(msg.data, msg.mode);
+          scheduleImageGc();
+          sendResponse({ success: true, imported, ...summarizeHauls(state), cart: findHaul(state).items });
+          break;
+        }
         case 'getRate': {
           const settings = await getSettings();
           const target = msg.currency || settings.targetCurrency;
@@ -436,6 +3301,11 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           sendResponse({ settings });
           break;
         }
+        case 'setGroupBy': {
+          const groupBy = await setGroupBy(msg.groupBy);
+          sendResponse({ success: true, groupBy });
+          break;
+        }
         case 'prepareImages': {
           // Kept for compatibility with older popup builds.
           await updateImageRules();
@@ -640,6 +3510,8 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       console.error('[YuCart BG] Message handler failed:', error);
       sendResponse({ error: error?.message || 'Unexpected background error' });
     }
-  })();
+  };
+  if (CART_MUTATIONS.has(msg.action)) runCartTransaction(handle);
+  else handle();
   return true; // keep channel open for async
 });
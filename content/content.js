@@ -2,6 +2,9 @@
    YuCart — Content Script
    Scans Yupoo pages for prices (160Y, ¥160, etc.), injects
    Add-to-Cart buttons on both album listings and detail pages.
+   On Weidian / Taobao / 1688 product pages, adds a bar that
+   reads the item straight from the store. Each site is a
+   registered adapter (see SITE ADAPTERS).
    ============================================================ */
 
 (function () {
@@ -10,14 +13,48 @@
     if (window.__yucart_loaded) return;
     window.__yucart_loaded = true;
 
-    // ── Price patterns ─────────────────────────────────────────
-    // Yupoo prices: "160Y", "160y", "160Yuan", "¥160", "￥160", "160元", "P160"
-    const PRICE_REGEX = [
-        /(\d[\d,.]*)\s*[Yy](?:uan)?(?:\s|$|[【\[\(]|[^\w])/,
-        /[¥￥]\s*(\d[\d,.]*)/,
-        /(\d[\d,.]*)\s*[¥￥元]/,
-        /[Pp](\d[\d,.]*)(?:\s|$|[【\[\(]|[^\w])/
-    ];
+    // ── Price parsing (shared/price-parser.js, loaded first) ───
+    const { parsePriceNumber, extractPriceChoices, stripLeadingPrice } = YuCartPrices;
+    const { HAULS_KEY, SETTINGS_KEY } = YuCartKeys; // shared/storage-keys.js
+
+    // Thumbnails are stored as blobs in the extension's IndexedDB, so they
+    // can be big enough to stay sharp in the popup and gallery views.
+    const THUMBNAIL_MAX_SIZE = 320;
+    const THUMBNAIL_QUALITY = 0.82;
+    // Album photos are kept for QC comparison, so they stay larger
+    const PHOTO_MAX_SIZE = 1280;
+    const PHOTO_QUALITY = 0.85;
+
+    // ── Site adapter registry ──────────────────────────────────
+    // Each supported site is described by an adapter; the scan/observer core
+    // only talks to adapters, so a new Yupoo theme or store is one more
+    // registerAdapter() call (plus its manifest match pattern). Fields:
+    //   name      shown in bar captions ("Taobao · …")
+    //   matches   (URL) → boolean; the first matching adapter handles the page
+    //   darkMode  the YuCart dark theme (darkmode.css) applies to this site
+    //   vendor    () → seller name for tiles read from the page
+    //   tiles     [{ selector, read(el) → { title, thumbnail, url } }]: repeated
+    //             items, priced from their title; priced ones get the overlay,
+    //             selection box and in-cart controls
+    //   product   { read() → itemData | null, caption?(item), mount(bar),
+    //             photos?() → [{ url, element }] }: the single-item bar; read()
+    //             returns null until the page is ready. photos() lists the
+    //             album images that can be saved with the item
+    //   extras    { scan(), setup() → teardown }: site-specific behaviour
+    const SITE_ADAPTERS = [];
+    let activeAdapter;
+
+    function registerAdapter(adapter) {
+        SITE_ADAPTERS.push(adapter);
+    }
+
+    function getActiveAdapter() {
+        if (activeAdapter === undefined) {
+            const url = new URL(window.location.href);
+            activeAdapter = SITE_ADAPTERS.find(adapter => adapter.matches(url)) || null;
+        }
+        return activeAdapter;
+    }
 
     let exchangeRate = null;
     let targetCurrency = 'USD';
@@ -25,32 +62,33 @@
 
     // ── Cleanup when extension is reloaded ─────────────────────
     let observer = null;
-    let htmlObserver = null;
-    let viewerObserver = null;
-    let viewerCheckInterval = null;
+    let adapterTeardown = null;
     let scanDebounceTimer = null;
-    let lightboxDebounceTimer = null;
     let pendingScanRoots = new Set();
     let pendingFullRescan = false;
     let settingsListenerAttached = false;
 
     // ── Apply dark mode immediately (before async load) to prevent flash ──
-    // Default to dark mode, will be corrected if user disabled it.
-    if (document.body) {
-        if (darkModeEnabled) {
-            document.body.classList.add('yucart-dark-mode');
-        }
-    } else {
-        // document_start: body doesn't exist yet, wait for it
-        const initialBodyObserver = new MutationObserver((mutations, obs) => {
-            if (document.body) {
-                if (darkModeEnabled) {
-                    document.body.classList.add('yucart-dark-mode');
-                }
-                obs.disconnect();
+    // Default to dark mode, will be corrected if user disabled it. Called once
+    // the adapters are registered (still synchronously at document_start).
+    function applyInitialDarkMode() {
+        darkModeEnabled = getActiveAdapter()?.darkMode === true;
+        if (document.body) {
+            if (darkModeEnabled) {
+                document.body.classList.add('yucart-dark-mode');
             }
-        });
-        initialBodyObserver.observe(document.documentElement, { childList: true });
+        } else {
+            // document_start: body doesn't exist yet, wait for it
+            const initialBodyObserver = new MutationObserver((mutations, obs) => {
+                if (document.body) {
+                    if (darkModeEnabled) {
+                        document.body.classList.add('yucart-dark-mode');
+                    }
+                    obs.disconnect();
+                }
+            });
+            initialBodyObserver.observe(document.documentElement, { childList: true });
+        }
     }
 
     // ── Helpers ────────────────────────────────────────────────
@@ -64,15 +102,9 @@
         return match ? match[1] : host;
     }
 
-    function extractPrice(text) {
-        for (const re of PRICE_REGEX) {
-            const m = text.match(re);
-            if (m) {
-                const p = parseFloat(m[1].replace(/,/g, ''));
-                if (p > 0 && p < 999999) return p;
-            }
-        }
-        return null;
+    // Price used when nothing is picked (badges, detail bar): the first non-add-on
+    function mainPrice(choices) {
+        return (choices.find(c => c.kind !== 'addon') || choices[0])?.price ?? null;
     }
 
     // Extract the gallery subheading (e.g. Weidian/Taobao product link)
@@ -115,12 +147,26 @@
         return `${getCurrencySymbol(targetCurrency)}${converted.toFixed(2)}`;
     }
 
+    // "¥160 ≈ $22.00", or "¥160–220 ≈ $22.00–$30.25" when a title has several prices
+    function formatPriceDisplay(choices) {
+        const prices = choices.map(c => c.price);
+        const min = Math.min(...prices);
+        const max = Math.max(...prices);
+        if (min === max) {
+            const converted = formatConverted(min);
+            return converted ? `¥${min} ≈ ${converted}` : `¥${min}`;
+        }
+        const low = formatConverted(min);
+        return low ? `¥${min}–${max} ≈ ${low}–${formatConverted(max)}` : `¥${min}–${max}`;
+    }
+
     // ── Load exchange rate & dark mode ────────────────────────
     async function loadRate() {
         try {
             const resp = await chrome.runtime.sendMessage({ action: 'getSettings' });
             if (resp?.settings) {
                 targetCurrency = resp.settings.targetCurrency || 'USD';
+                autoCleanEnabled = resp.settings.autoClean === true;
                 applyDarkMode(resp.settings.darkMode !== false);
             }
 
@@ -139,21 +185,23 @@
 
     // ── Apply/remove dark mode ─────────────────────────────────
     function applyDarkMode(enabled) {
-        darkModeEnabled = enabled !== false;
+        darkModeEnabled = getActiveAdapter()?.darkMode === true && enabled !== false;
         if (!document.body) return;
         document.body.classList.toggle('yucart-dark-mode', darkModeEnabled);
     }
 
-    // ── Listen for settings changes ────────────────────────────
+    // ── Listen for settings and cart changes ───────────────────
     function handleSettingsChange(changes, area) {
         try {
-            if (area === 'sync' && changes.yucart_settings) {
-                const newSettings = changes.yucart_settings.newValue;
+            if (area === 'local' && changes[HAULS_KEY]) scheduleCartRefresh();
+            if (area === 'sync' && changes[SETTINGS_KEY]) {
+                const newSettings = changes[SETTINGS_KEY].newValue;
                 if (newSettings) {
                     // Update dark mode
                     if (newSettings.darkMode !== undefined) {
                         applyDarkMode(newSettings.darkMode);
                     }
+                    autoCleanEnabled = newSettings.autoClean === true;
                     // Update currency if changed
                     if (newSettings.targetCurrency && newSettings.targetCurrency !== targetCurrency) {
                         targetCurrency = newSettings.targetCurrency;
@@ -174,17 +222,21 @@
 
     function cleanup() {
         if (observer) { observer.disconnect(); observer = null; }
-        if (htmlObserver) { htmlObserver.disconnect(); htmlObserver = null; }
-        if (viewerObserver) { viewerObserver.disconnect(); viewerObserver = null; }
-        if (viewerCheckInterval) { clearInterval(viewerCheckInterval); viewerCheckInterval = null; }
+        if (adapterTeardown) { adapterTeardown(); adapterTeardown = null; }
         if (scanDebounceTimer) { clearTimeout(scanDebounceTimer); scanDebounceTimer = null; }
-        if (lightboxDebounceTimer) { clearTimeout(lightboxDebounceTimer); lightboxDebounceTimer = null; }
+        if (cartRefreshTimer) { clearTimeout(cartRefreshTimer); cartRefreshTimer = null; }
         if (settingsListenerAttached) {
             chrome.storage.onChanged.removeListener(handleSettingsChange);
+            chrome.runtime.onMessage.removeListener(handleBackgroundMessage);
             settingsListenerAttached = false;
         }
         pendingScanRoots.clear();
         pendingFullRescan = false;
+        closePricePicker();
+        resetSelection();
+        resetPhotoCapture();
+        inCartViews.clear();
+        awaitingCleanedName.clear();
         // Remove dark mode class on cleanup to avoid orphaned styles
         if (document.body) {
             document.body.classList.remove('yucart-dark-mode');
@@ -216,52 +268,83 @@
     // DNR rule adds Access-Control-Allow-Origin:* to photo.yupoo.com
     // responses, so crossOrigin='anonymous' images won't taint the canvas.
     // The request Origin is the vendor's yupoo subdomain (legitimate).
-    function imageToBase64(url) {
+    function imageToBase64(url, maxSize = THUMBNAIL_MAX_SIZE, quality = THUMBNAIL_QUALITY) {
         return new Promise((resolve) => {
             if (!url || url.startsWith('data:')) {
                 resolve(url || '');
                 return;
             }
-            // Use small variant for storage efficiency
-            const smallUrl = url.replace(/(big|medium|small)\.jpg/, 'small.jpg');
+            // Medium variant is large enough for THUMBNAIL_MAX_SIZE without fetching the original
+            const variant = maxSize > THUMBNAIL_MAX_SIZE ? 'big.jpg' : 'medium.jpg';
+            const sourceUrl = /photo\.yupoo\.com/.test(url) ? url.replace(/(big|medium|small)\.jpg/, variant) : url;
             const img = new Image();
             img.crossOrigin = 'anonymous';
             img.onload = () => {
                 try {
                     const canvas = document.createElement('canvas');
-                    const maxSize = 64;
                     let w = img.naturalWidth;
                     let h = img.naturalHeight;
-                    if (w > h) { h = Math.round(h * maxSize / w); w = maxSize; }
-                    else { w = Math.round(w * maxSize / h); h = maxSize; }
+                    if (w > maxSize || h > maxSize) {
+                        if (w > h) { h = Math.round(h * maxSize / w); w = maxSize; }
+                        else { w = Math.round(w * maxSize / h); h = maxSize; }
+                    }
                     canvas.width = w;
                     canvas.height = h;
                     canvas.getContext('2d').drawImage(img, 0, 0, w, h);
-                    resolve(canvas.toDataURL('image/jpeg', 0.6));
+                    resolve(canvas.toDataURL('image/jpeg', quality));
                 } catch (e) {
                     console.warn('[YuCart CS] Canvas export failed:', e.message);
                     resolve('');
                 }
             };
             img.onerror = () => {
-                console.warn('[YuCart CS] Image load failed for:', smallUrl);
+                console.warn('[YuCart CS] Image load failed for:', sourceUrl);
                 resolve('');
             };
-            img.src = smallUrl;
+            img.src = sourceUrl;
         });
     }
 
     // ── Add to cart ────────────────────────────────────────────
-    async function addToCart(itemData) {
-        // Convert thumbnail to base64 (bypasses cross-origin via DNR CORS rule)
+    // Convert thumbnail to base64 (bypasses cross-origin via DNR CORS rule).
+    // The background moves it into the image store; `thumbnail` keeps the remote URL.
+    async function attachThumbnailData(itemData) {
         if (itemData.thumbnail && itemData.thumbnail.startsWith('http')) {
             const cached = await imageToBase64(itemData.thumbnail);
-            if (cached) itemData.thumbnail = cached;
+            if (cached) itemData.thumbnailData = cached;
+        } else if (itemData.thumbnail && itemData.thumbnail.startsWith('data:')) {
+            itemData.thumbnailData = itemData.thumbnail;
+            itemData.thumbnail = '';
+        }
+    }
+
+    // photoUrls (album photos picked on the bar) become `photos`: one at a
+    // time, since each is a full-size image fetch; onProgress(done, total).
+    async function attachPhotoData(itemData, onProgress) {
+        const urls = itemData.photoUrls || [];
+        delete itemData.photoUrls;
+        if (urls.length === 0) return;
+
+        const photos = [];
+        for (const url of urls) {
+            onProgress?.(photos.length, urls.length);
+            const data = await imageToBase64(url, PHOTO_MAX_SIZE, PHOTO_QUALITY);
+            photos.push({ url: url.startsWith('http') ? url : '', data });
         }
+        itemData.photos = photos;
+    }
+
+    async function addToCart(itemData, onProgress) {
+        await attachThumbnailData(itemData);
+        await attachPhotoData(itemData, onProgress);
         chrome.runtime.sendMessage({ action: 'addToCart', item: itemData }, (resp) => {
             console.log('[YuCart CS] addToCart response:', resp?.success);
             if (resp?.success) {
-                showToast(`Added to cart — ¥${itemData.price}`);
+                setCartLines(resp.cart);
+                watchForCleanedNames([itemData.url]);
+                const target = resp.haulName ? `"${resp.haulName}"` : 'cart';
+                const photoCount = itemData.photos?.length;
+                showToast(`Added to ${target} — ¥${itemData.price}${photoCount ? ` · ${photoCount} photo${photoCount === 1 ? '' : 's'}` : ''}`);
             }
         });
     }
@@ -278,8 +361,10 @@
       <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
         <polyline points="20 6 9 17 4 12"></polyline>
       </svg>
-      <span>${message}</span>
+      <span></span>
     `;
+        // textContent: messages can include user-entered names (e.g. haul names)
+        toast.querySelector('span').textContent = message;
         document.body.appendChild(toast);
         requestAnimationFrame(() => toast.classList.add('yucart-toast--visible'));
         setTimeout(() => {
@@ -288,13 +373,418 @@
         }, 2200);
     }
 
+    // ── Context menu support ───────────────────────────────────
+    // The background resolves right-clicked albums; the page supplies what it
+    // can't: a price typed by the user and the thumbnail as a data URL.
+    async function completeContextItem({ item, priceChoices = [] }) {
+        let price = priceChoices.length === 1 ? priceChoices[0].price : null;
+        let priceLabel;
+        if (price === null) {
+            const question = priceChoices.length
+                ? `"${item.title}" lists several prices:\n${priceChoices.map(c => `¥${c.price}  ${c.label}`).join('\n')}\n\nPrice in ¥:`
+                : `No price found in "${item.title}".\n\nPrice in ¥:`;
+            const answer = window.prompt(question, priceChoices.length ? String(mainPrice(priceChoices)) : '');
+            if (answer === null) return { cancelled: true };
+            price = parseFloat(answer.replace(/[^\d.]/g, ''));
+            if (!(price > 0)) {
+                showToast('Not added — enter a price in ¥');
+                return { cancelled: true };
+            }
+            priceLabel = priceChoices.find(c => c.price === price)?.label;
+        }
+        const completed = { ...item, price, ...(priceLabel ? { priceLabel } : {}) };
+        await attachThumbnailData(completed);
+        return { item: completed };
+    }
+
+    function handleBackgroundMessage(msg, sender, sendResponse) {
+        if (msg.action === 'showToast') {
+            showToast(msg.message);
+            return;
+        }
+        if (msg.action === 'completeContextItem') {
+            completeContextItem(msg).then(sendResponse);
+            return true; // async response
+        }
+    }
+
+    chrome.runtime.onMessage.addListener(handleBackgroundMessage);
+
+    // ── Variant fields (size / color / note) ───────────────────
+    // Used on the detail bar and viewer bar so one album can be added
+    // several times as separate lines (e.g. two different sizes).
+    function createVariantFields() {
+        const wrap = document.createElement('div');
+        wrap.className = 'yucart-variant-fields';
+        wrap.innerHTML = `
+      <input class="yucart-variant-input yucart-variant-input--short" data-field="size" type="text" maxlength="20" placeholder="Size">
+      <input class="yucart-variant-input yucart-variant-input--short" data-field="color" type="text" maxlength="30" placeholder="Color">
+      <input class="yucart-variant-input" data-field="note" type="text" maxlength="120" placeholder="Note">
+    `;
+
+        // Keep Yupoo's own key handlers (viewer navigation, shortcuts) out of our inputs
+        wrap.querySelectorAll('input').forEach(input => {
+            ['keydown', 'keyup', 'keypress'].forEach(type => {
+                input.addEventListener(type, (e) => e.stopPropagation());
+            });
+        });
+
+        const read = () => {
+            const variant = {};
+            wrap.querySelectorAll('input').forEach(input => {
+                variant[input.dataset.field] = input.value.trim();
+            });
+            return variant;
+        };
+
+        return { element: wrap, read };
+    }
+
+    // ── Album photo capture ────────────────────────────────────
+    // Bars on pages with an album (adapter.product.photos) can save its
+    // images with the item, for checking agent QC photos against later.
+    // 'all' takes every photo; 'picked' only those ticked on the album or
+    // picked in the viewer. The choice is per page, shared by both bars.
+    const { MAX_ITEM_PHOTOS } = YuCartLimits; // shared/limits.js
+    let photoMode = 'none';
+    const pickedPhotos = new Map(); // photoKey -> url
+    const photoSelects = new Set(); // mode selects on the album and viewer bars
+
+    // Yupoo serves each photo in several sizes; they count as one
+    function photoKey(url) {
+        return url.replace(/\/(big|medium|small|square)\.(jpe?g|png|webp)(\?.*)?$/i, '');
+    }
+
+    function listAlbumPhotos() {
+        const seen = new Set();
+        return (getActiveAdapter()?.product?.photos?.() || []).filter(photo => {
+            if (!photo.url || seen.has(photoKey(photo.url))) return false;
+            seen.add(photoKey(photo.url));
+            return true;
+        });
+    }
+
+    function capturedPhotoUrls() {
+        if (photoMode === 'none') return [];
+        const album = listAlbumPhotos().map(photo => photo.url);
+        if (photoMode === 'all') return album.slice(0, MAX_ITEM_PHOTOS);
+
+        // Album order first, then anything picked in the viewer that the grid doesn't show
+        const picked = album.filter(url => pickedPhotos.has(photoKey(url)));
+        const albumKeys = new Set(album.map(photoKey));
+        pickedPhotos.forEach((url, key) => { if (!albumKeys.has(key)) picked.push(url); });
+        return picked.slice(0, MAX_ITEM_PHOTOS);
+    }
+
+    function createPhotoSelect() {
+        const select = document.createElement('select');
+        select.className = 'yucart-photo-select';
+        select.title = 'Save album photos with the item, to compare with QC photos later';
+        ['none', 'all', 'picked'].forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => setPhotoMode(select.value));
+        // Keep Yupoo's viewer shortcuts (arrow keys) from firing while choosing
+        select.addEventListener('keydown', (e) => e.stopPropagation());
+        photoSelects.add(select);
+        renderPhotoSelect(select);
+        return select;
+    }
+
+    function renderPhotoSelect(select) {
+        const total = Math.min(listAlbumPhotos().length, MAX_ITEM_PHOTOS);
+        const [none, all, picked] = select.options;
+        none.textContent = '📷 No photos';
+        all.textContent = `📷 All photos (${total})`;
+        picked.textContent = `📷 Picked photos (${pickedPhotos.size})`;
+        select.value = photoMode;
+    }
+
+    function renderPhotoSelects() {
+        photoSelects.forEach(select => {
+            if (select.isConnected) renderPhotoSelect(select);
+            else photoSelects.delete(select);
+        });
+    }
+
+    function setPhotoMode(mode) {
+        photoMode = mode;
+        document.body.classList.toggle('yucart-picking-photos', mode === 'picked');
+        if (mode === 'picked') decoratePhotoPicks();
+        renderPhotoSelects();
+    }
+
+    function togglePhotoPick(url) {
+        const key = photoKey(url);
+        if (pickedPhotos.has(key)) pickedPhotos.delete(key);
+        else if (pickedPhotos.size >= MAX_ITEM_PHOTOS) showToast(`Up to ${MAX_ITEM_PHOTOS} photos per item`);
+        else pickedPhotos.set(key, url);
+
+        document.querySelectorAll('.yucart-photo-pick').forEach(box => {
+            box.setAttribute('aria-pressed', String(pickedPhotos.has(box.dataset.photoKey)));
+        });
+        renderPhotoSelects();
+        return pickedPhotos.has(key);
+    }
+
+    // Tick boxes on the album's images, shown while picking
+    function decoratePhotoPicks() {
+        listAlbumPhotos().forEach(({ url, element }) => {
+            if (!element || element.querySelector('.yucart-photo-pick')) return;
+            const box = document.createElement('button');
+            box.type = 'button';
+            box.className = 'yucart-photo-pick';
+            box.title = 'Save this photo with the item';
+            box.dataset.photoKey = photoKey(url);
+            box.setAttribute('aria-pressed', String(pickedPhotos.has(photoKey(url))));
+            box.addEventListener('click', (e) => {
+                // The image underneath opens Yupoo's viewer
+                e.preventDefault();
+                e.stopPropagation();
+                togglePhotoPick(url);
+            });
+            element.style.position = 'relative';
+            element.appendChild(box);
+        });
+    }
+
+    function resetPhotoCapture() {
+        photoMode = 'none';
+        pickedPhotos.clear();
+        photoSelects.clear();
+        document.body?.classList.remove('yucart-picking-photos');
+        document.querySelectorAll('.yucart-photo-pick').forEach(box => box.remove());
+    }
+
+    // ── Price picker ───────────────────────────────────────────
+    // Shown instead of guessing when a title has several prices.
+    function closePricePicker() {
+        document.querySelector('.yucart-price-picker')?.remove();
+        document.removeEventListener('click', handlePricePickerOutside, true);
+        document.removeEventListener('keydown', handlePricePickerKey, true);
+        window.removeEventListener('scroll', closePricePicker, true);
+    }
+
+    function handlePricePickerOutside(e) {
+        if (!e.target.closest?.('.yucart-price-picker')) closePricePicker();
+    }
+
+    function handlePricePickerKey(e) {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            closePricePicker();
+        }
+    }
+
+    function openPricePicker(anchor, choices, onPick) {
+        closePricePicker();
+        const picker = document.createElement('div');
+        picker.className = 'yucart-price-picker';
+
+        const heading = document.createElement('div');
+        heading.className = 'yucart-price-picker__title';
+        heading.textContent = 'This listing has several prices';
+        picker.appendChild(heading);
+
+        // Labels come from the page title, so build with textContent
+        choices.forEach(choice => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = `yucart-price-picker__option yucart-price-picker__option--${choice.kind}`;
+            const price = document.createElement('span');
+            price.className = 'yucart-price-picker__price';
+            price.textContent = formatPriceDisplay([choice]);
+            const label = document.createElement('span');
+            label.className = 'yucart-price-picker__label';
+            label.textContent = choice.kind === 'addon' ? `${choice.label} (add-on only)` : choice.label;
+            option.append(price, label);
+            option.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                closePricePicker();
+                onPick(choice);
+            });
+            picker.appendChild(option);
+        });
+
+        document.body.appendChild(picker);
+        const rect = anchor.getBoundingClientRect();
+        const below = rect.bottom + 6;
+        const top = below + picker.offsetHeight > window.innerHeight ? rect.top - picker.offsetHeight - 6 : below;
+        picker.style.top = `${Math.max(8, top)}px`;
+        picker.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - picker.offsetWidth - 8))}px`;
+
+        // Attach after this click finishes bubbling, or it would close the picker at once
+        setTimeout(() => {
+            document.addEventListener('click', handlePricePickerOutside, true);
+            document.addEventListener('keydown', handlePricePickerKey, true);
+            window.addEventListener('scroll', closePricePicker, true);
+        });
+    }
+
+    // ── In-cart state ──────────────────────────────────────────
+    // Tiles and bars show how many of an album the active haul already holds,
+    // with −/+/remove controls. Refreshed whenever the hauls change in storage,
+    // so edits from the popup or another tab show up here too.
+    let cartLines = [];
+    let cartRefreshTimer = null;
+
+    // Lines added here while auto-clean is on (line id -> added at); the
+    // cleaned name is toasted once the background job saves it
+    const CLEANED_NAME_WAIT_MS = 2 * 60 * 1000;
+    let autoCleanEnabled = false;
+    const awaitingCleanedName = new Map();
+    const inCartViews = new Set(); // { key, element }
+
+    // Album URLs carry tracking params (uid, referrercate…); match on host + album id.
+    // Store item URLs keep only their item id param.
+    function albumKey(url) {
+        try {
+            const parsed = new URL(url, window.location.href);
+            const album = parsed.pathname.match(/\/albums\/(\d+)/);
+            if (album) return `${parsed.hostname}/albums/${album[1]}`;
+            const itemId = parsed.searchParams.get('id') || parsed.searchParams.get('itemID');
+            return `${parsed.hostname}${parsed.pathname}${itemId ? `?id=${itemId}` : ''}`;
+        } catch {
+            return '';
+        }
+    }
+
+    function linesForAlbum(key) {
+        return key ? cartLines.filter(line => albumKey(line.url) === key) : [];
+    }
+
+    function setCartLines(cart) {
+        if (!Array.isArray(cart)) return;
+        cartLines = cart;
+        renderInCartViews();
+        announceCleanedNames();
+    }
+
+    function watchForCleanedNames(urls) {
+        if (!autoCleanEnabled) return;
+        const keys = new Set(urls.map(albumKey).filter(Boolean));
+        const now = Date.now();
+        cartLines.forEach(line => {
+            if (!line.cleanedTitle && keys.has(albumKey(line.url))) awaitingCleanedName.set(line.id, now);
+        });
+    }
+
+    function announceCleanedNames() {
+        const now = Date.now();
+        const names = [];
+        awaitingCleanedName.forEach((addedAt, id) => {
+            const line = cartLines.find(l => l.id === id);
+            if (line?.cleanedTitle) names.push(line.cleanedTitle);
+            // Given up on after a while (cleaning failed, or the line left the active haul)
+            if (line?.cleanedTitle || now - addedAt > CLEANED_NAME_WAIT_MS) awaitingCleanedName.delete(id);
+        });
+        if (names.length === 1) showToast(`Cleaned name: ${names[0]}`);
+        else if (names.length > 1) showToast(`Cleaned ${names.length} names — ${names[0]}, …`);
+    }
+
+    async function loadCartLines() {
+        try {
+            const resp = await chrome.runtime.sendMessage({ action: 'getCart' });
+            setCartLines(resp?.cart);
+        } catch (e) {
+            if (e.message?.includes('Extension context invalidated')) cleanup();
+        }
+    }
+
+    function scheduleCartRefresh() {
+        if (cartRefreshTimer) clearTimeout(cartRefreshTimer);
+        cartRefreshTimer = setTimeout(() => {
+            cartRefreshTimer = null;
+            loadCartLines();
+        }, 150);
+    }
+
+    function createInCartControls(url, modifier) {
+        const element = document.createElement('div');
+        element.className = `yucart-incart yucart-incart--${modifier}`;
+        element.hidden = true;
+
+        const makeButton = (label, title, onClick) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'yucart-incart__btn';
+            btn.textContent = label;
+            btn.title = title;
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                onClick();
+            });
+            return btn;
+        };
+
+        const view = { key: albumKey(url), element };
+        const count = document.createElement('span');
+        count.className = 'yucart-incart__count';
+        element.append(
+            makeButton('−', 'One less', () => stepAlbumQuantity(view.key, -1)),
+            count,
+            makeButton('+', 'One more', () => stepAlbumQuantity(view.key, 1)),
+            makeButton('×', 'Remove from cart', () => removeAlbum(view.key))
+        );
+
+        inCartViews.add(view);
+        renderInCartView(view);
+        return element;
+    }
+
+    function renderInCartView(view) {
+        const quantity = linesForAlbum(view.key).reduce((sum, line) => sum + line.quantity, 0);
+        view.element.hidden = quantity === 0;
+        view.element.querySelector('.yucart-incart__count').textContent = `${quantity} in cart`;
+    }
+
+    function renderInCartViews() {
+        for (const view of inCartViews) {
+            if (view.element.isConnected) renderInCartView(view);
+            else inCartViews.delete(view);
+        }
+    }
+
+    // −/+ act on the most recently added line; several variants of one
+    // album are still edited individually in the popup.
+    function stepAlbumQuantity(key, delta) {
+        const lines = linesForAlbum(key);
+        if (!lines.length) return;
+        const line = lines.reduce((latest, l) => (l.addedAt || 0) >= (latest.addedAt || 0) ? l : latest);
+        const quantity = line.quantity + delta;
+        const message = quantity < 1
+            ? { action: 'removeFromCart', itemId: line.id }
+            : { action: 'updateQuantity', itemId: line.id, quantity };
+        chrome.runtime.sendMessage(message, (resp) => setCartLines(resp?.cart));
+    }
+
+    function removeAlbum(key) {
+        const itemIds = linesForAlbum(key).map(line => line.id);
+        if (!itemIds.length) return;
+        chrome.runtime.sendMessage({ action: 'removeFromCart', itemIds }, (resp) => {
+            if (!resp?.success) return;
+            setCartLines(resp.cart);
+            showToast(itemIds.length > 1 ? `Removed ${itemIds.length} lines from cart` : 'Removed from cart');
+        });
+    }
+
     // ── Create Add-to-Cart button ──────────────────────────────
-    function createCartButton(itemData, size = 'normal') {
+    // getVariant (optional) is read at click time and merged into the item.
+    // itemData.priceChoices (from extractPriceChoices) with more than one
+    // entry makes the button open the price picker first.
+    function createCartButton(itemData, size = 'normal', getVariant = null) {
         const btn = document.createElement('button');
         btn.className = `yucart-add-btn yucart-add-btn--${size}`;
 
-        const convertedStr = formatConverted(itemData.price);
-        const priceLabel = convertedStr ? `¥${itemData.price} ≈ ${convertedStr}` : `¥${itemData.price}`;
+        const { priceChoices, ...baseItem } = itemData;
+        const hasChoices = priceChoices?.length > 1;
+        const priceLabel = hasChoices
+            ? `${formatPriceDisplay(priceChoices)} ▾`
+            : formatPriceDisplay([{ price: itemData.price }]);
 
         btn.innerHTML = `
       <svg width="${size === 'large' ? 18 : 14}" height="${size === 'large' ? 18 : 14}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
@@ -306,17 +796,26 @@
       <span class="yucart-add-btn__price">${priceLabel}</span>
     `;
 
-        btn.addEventListener('click', async (e) => {
-            e.preventDefault();
-            e.stopPropagation();
+        const add = async (choice) => {
             btn.classList.add('yucart-add-btn--added');
-            btn.querySelector('.yucart-add-btn__text').textContent = '⏳ Adding...';
-            await addToCart({ ...itemData });
+            const text = btn.querySelector('.yucart-add-btn__text');
+            text.textContent = '⏳ Adding...';
+            const picked = choice ? { price: choice.price, priceLabel: choice.label } : {};
+            await addToCart({ ...baseItem, ...picked, ...(getVariant ? getVariant() : {}) }, (done, total) => {
+                text.textContent = `⏳ Photo ${done + 1}/${total}...`;
+            });
             btn.querySelector('.yucart-add-btn__text').textContent = '✓ Added';
             setTimeout(() => {
                 btn.classList.remove('yucart-add-btn--added');
                 btn.querySelector('.yucart-add-btn__text').textContent = 'Add to Cart';
             }, 1500);
+        };
+
+        btn.addEventListener('click', async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (hasChoices) openPricePicker(btn, priceChoices, add);
+            else await add(null);
         });
 
         return btn;
@@ -336,182 +835,413 @@
         return matches;
     }
 
-    // ══════════════════════════════════════════════════════════
-    //  ALBUM LISTING PAGE  (grid of albums)
-    // ══════════════════════════════════════════════════════════
-    function processAlbumListings(root = document) {
-        const albums = queryIncludingRoot(root, '.album__main, .album3__main');
-        if (!albums.length) return;
-
-        albums.forEach(album => {
-            if (album.querySelector('.yucart-add-btn')) return; // already processed
-
-            const titleEl = album.querySelector('.album__title');
-            const titleText = titleEl?.textContent?.trim() || album.getAttribute('title') || '';
-            const price = extractPrice(titleText);
-            if (!price) return;
-
-            const imgEl = album.querySelector('.album__img, .autocut, img');
-            const thumbnail = getImageUrl(imgEl);
-            const url = album.href || window.location.href;
-
-            // Clean the title (remove the price prefix)
-            const cleanTitle = titleText.replace(/^\d[\d,.]*\s*[Yy](?:uan)?\s*/, '').trim() || titleText;
-
-            const itemData = {
-                title: cleanTitle,
-                price: price,
-                vendor: getVendorName(),
-                thumbnail: thumbnail,
-                url: url
-            };
+    // ── Multi-select (album listings) ──────────────────────────
+    // Priced tiles register here; once a page has more than one, a floating
+    // bar offers selection mode and sends the additions as a single batch.
+    const BATCH_ADD_LIMIT = YuCartLimits.MAX_BATCH_ITEMS; // shared/limits.js
+    const selectableTiles = new Map(); // tile → { itemData, box }
+    const selectedTiles = new Map(); // tile → picked price choice, or null for the main price
+    let selectionMode = false;
+    let selectionBar = null;
+    let batchProgress = null;
+
+    function registerSelectableTile(tile, itemData) {
+        const box = document.createElement('button');
+        box.type = 'button';
+        box.className = 'yucart-select-box';
+        box.title = 'Select album';
+        box.setAttribute('aria-pressed', 'false');
+        box.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            toggleTileSelection(tile);
+        });
+        // In selection mode the whole tile toggles instead of opening the album
+        tile.addEventListener('click', (e) => {
+            if (!selectionMode) return;
+            e.preventDefault();
+            e.stopPropagation();
+            toggleTileSelection(tile);
+        });
+        tile.appendChild(box);
+        selectableTiles.set(tile, { itemData, box });
+        updateSelectionBar();
+    }
 
-            // Create overlay container
-            const overlay = document.createElement('div');
-            overlay.className = 'yucart-album-overlay';
-
-            // Converted price badge
-            const convertedStr = formatConverted(price);
-            if (convertedStr) {
-                const badge = document.createElement('div');
-                badge.className = 'yucart-price-badge';
-                badge.textContent = `¥${price} ≈ ${convertedStr}`;
-                overlay.appendChild(badge);
-            }
+    function setTileSelected(tile, selected) {
+        tile.classList.toggle('yucart-tile--selected', selected);
+        selectableTiles.get(tile)?.box.setAttribute('aria-pressed', String(selected));
+    }
+
+    function toggleTileSelection(tile) {
+        const entry = selectableTiles.get(tile);
+        if (!entry || batchProgress) return;
+        if (selectedTiles.has(tile)) {
+            selectedTiles.delete(tile);
+            setTileSelected(tile, false);
+            updateSelectionBar();
+            return;
+        }
+        const select = (choice) => {
+            selectedTiles.set(tile, choice);
+            setTileSelected(tile, true);
+            updateSelectionBar();
+        };
+        const { priceChoices } = entry.itemData;
+        if (priceChoices?.length > 1) openPricePicker(entry.box, priceChoices, select);
+        else select(null);
+    }
+
+    // Yupoo swaps tiles out on pagination / lazy load
+    function pruneDetachedTiles() {
+        for (const tile of selectableTiles.keys()) {
+            if (tile.isConnected) continue;
+            selectableTiles.delete(tile);
+            selectedTiles.delete(tile);
+        }
+    }
 
-            // Add to cart button
-            const btn = createCartButton(itemData, 'small');
-            overlay.appendChild(btn);
+    function tilePrice(tile) {
+        const choice = selectedTiles.get(tile);
+        return choice ? choice.price : selectableTiles.get(tile).itemData.price;
+    }
+
+    // "Add all" takes every single-price tile plus multi-price tiles already
+    // picked; the rest are skipped rather than guessing a price.
+    function addAllTiles() {
+        return Array.from(selectableTiles.keys()).filter(tile =>
+            selectedTiles.has(tile) || !(selectableTiles.get(tile).itemData.priceChoices?.length > 1));
+    }
+
+    function setSelectionMode(enabled) {
+        selectionMode = enabled;
+        if (!enabled) {
+            for (const tile of selectedTiles.keys()) setTileSelected(tile, false);
+            selectedTiles.clear();
+            closePricePicker();
+        }
+        document.body?.classList.toggle('yucart-selecting', enabled);
+        updateSelectionBar();
+    }
 
-            // Make album container relative for overlay positioning
-            album.style.position = 'relative';
-            album.appendChild(overlay);
+    function resetSelection() {
+        selectionBar?.remove();
+        selectionBar = null;
+        selectionMode = false;
+        batchProgress = null;
+        selectableTiles.clear();
+        selectedTiles.clear();
+        document.body?.classList.remove('yucart-selecting');
+    }
+
+    function createBarButton(label, className, onClick) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = `yucart-select-bar__btn ${className}`;
+        btn.textContent = label;
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            onClick();
         });
+        return btn;
     }
 
-    // ══════════════════════════════════════════════════════════
-    //  ALBUM DETAIL PAGE  (single product with images)
-    // ══════════════════════════════════════════════════════════
-    // Cache detail page item data so the lightbox can reuse it
-    let detailPageItemData = null;
+    function updateSelectionBar() {
+        pruneDetachedTiles();
+        if (selectableTiles.size < 2 || !document.body) {
+            selectionBar?.remove();
+            selectionBar = null;
+            return;
+        }
+        if (!selectionBar) {
+            selectionBar = document.createElement('div');
+            selectionBar.className = 'yucart-select-bar';
+        }
+        if (!selectionBar.isConnected) document.body.appendChild(selectionBar);
+        selectionBar.replaceChildren();
+
+        if (batchProgress) {
+            const status = document.createElement('span');
+            status.className = 'yucart-select-bar__summary';
+            status.textContent = `Adding ${batchProgress.done}/${batchProgress.total}…`;
+            selectionBar.appendChild(status);
+            return;
+        }
 
-    function processDetailPage() {
-        const titleEl = document.querySelector('.showalbumheader__gallerytitle, .showalbumheader__title');
-        if (!titleEl) return;
-        if (document.querySelector('.yucart-detail-bar')) return; // already injected
+        if (!selectionMode) {
+            selectionBar.appendChild(createBarButton('☐ Select albums', 'yucart-select-bar__btn--ghost', () => setSelectionMode(true)));
+            return;
+        }
 
-        const titleText = titleEl.textContent.trim();
-        const price = extractPrice(titleText);
-        if (!price) return;
+        const summary = document.createElement('span');
+        summary.className = 'yucart-select-bar__summary';
+        const count = selectedTiles.size;
+        if (count) {
+            const total = Array.from(selectedTiles.keys()).reduce((sum, tile) => sum + tilePrice(tile), 0);
+            const converted = formatConverted(total);
+            summary.textContent = `${count} selected · ¥${total.toLocaleString()}${converted ? ` ≈ ${converted}` : ''}`;
+        } else {
+            summary.textContent = 'Click albums to select';
+        }
+        selectionBar.appendChild(summary);
 
-        // Get first image from gallery
-        const galleryImg = document.querySelector('.showalbum__children img');
-        const headerImg = document.querySelector('.showalbumheader__gallerycover img');
-        const thumbnail = getImageUrl(headerImg) || getImageUrl(galleryImg);
+        const addSelected = createBarButton('Add selected', 'yucart-select-bar__btn--primary',
+            () => addTilesToCart(Array.from(selectedTiles.keys())));
+        addSelected.disabled = count === 0;
+        selectionBar.appendChild(addSelected);
 
-        // Extract subheading (Weidian/Taobao product link)
-        const subtitle = getGallerySubtitle();
+        const allTiles = addAllTiles();
+        const addAll = createBarButton(`Add all priced (${allTiles.length})`, 'yucart-select-bar__btn--ghost', () => {
+            const tiles = addAllTiles();
+            addTilesToCart(tiles, selectableTiles.size - tiles.length);
+        });
+        addAll.disabled = allTiles.length === 0;
+        selectionBar.appendChild(addAll);
 
-        // Clean title
-        const cleanTitle = titleText.replace(/^\d[\d,.]*\s*[Yy](?:uan)?\s*/, '').trim() || titleText;
+        selectionBar.appendChild(createBarButton('Done', 'yucart-select-bar__btn--ghost', () => setSelectionMode(false)));
+    }
 
-        const itemData = {
-            title: cleanTitle,
-            price: price,
-            vendor: getVendorName(),
-            thumbnail: thumbnail,
-            url: window.location.href,
-            subtitle: subtitle
-        };
+    // skipped: multi-price tiles left out of "add all", mentioned in the toast
+    async function addTilesToCart(tiles, skipped = 0) {
+        if (batchProgress || !tiles.length) return;
+        const batch = tiles.slice(0, BATCH_ADD_LIMIT);
+        closePricePicker();
+        batchProgress = { done: 0, total: batch.length };
+        updateSelectionBar();
+
+        const items = [];
+        for (const tile of batch) {
+            const { priceChoices, ...item } = selectableTiles.get(tile)?.itemData || {};
+            if (!item.title) continue;
+            const choice = selectedTiles.get(tile);
+            if (choice) {
+                item.price = choice.price;
+                item.priceLabel = choice.label;
+            }
+            await attachThumbnailData(item);
+            items.push(item);
+            batchProgress.done++;
+            updateSelectionBar();
+        }
 
-        // Cache for lightbox use
-        detailPageItemData = itemData;
+        chrome.runtime.sendMessage({ action: 'addToCartBatch', items }, (resp) => {
+            batchProgress = null;
+            if (resp?.success) {
+                setCartLines(resp.cart);
+                watchForCleanedNames(items.map(item => item.url));
+                const total = items.reduce((sum, item) => sum + (parseFloat(item.price) || 0), 0);
+                const target = resp.haulName ? `"${resp.haulName}"` : 'cart';
+                const notes = [];
+                if (tiles.length > batch.length) notes.push(`first ${batch.length} only`);
+                if (skipped > 0) notes.push(`${skipped} with several prices skipped`);
+                showToast(`Added ${items.length} items to ${target} — ¥${total.toLocaleString()}${notes.length ? ` (${notes.join(', ')})` : ''}`);
+                setSelectionMode(false);
+            } else {
+                showToast(resp?.error || 'Could not add the selected albums');
+                updateSelectionBar();
+            }
+        });
+    }
 
-        // Create a sticky add-to-cart bar at the top of the content
+    // ══════════════════════════════════════════════════════════
+    //  SCAN CORE  (site-agnostic; sites plug in as adapters)
+    // ══════════════════════════════════════════════════════════
+    // Add-to-cart bar shared by product pages and the Yupoo viewer.
+    // Built with textContent: titles are arbitrary seller text.
+    // currentPhoto (viewer only): () → URL of the photo on screen, for "Pick".
+    function createItemBar(className, itemData, caption, currentPhoto = null) {
         const bar = document.createElement('div');
-        bar.className = 'yucart-detail-bar';
+        bar.className = className;
+
+        const info = document.createElement('div');
+        info.className = 'yucart-detail-bar__info';
+        const priceEl = document.createElement('span');
+        priceEl.className = 'yucart-detail-bar__price';
+        priceEl.textContent = formatPriceDisplay(itemData.priceChoices || [{ price: itemData.price }]);
+        const titleEl = document.createElement('span');
+        titleEl.className = 'yucart-detail-bar__title';
+        titleEl.textContent = caption;
+        info.append(priceEl, titleEl);
+        bar.appendChild(info);
+
+        const variantFields = createVariantFields();
+        bar.appendChild(variantFields.element);
+        const hasPhotos = listAlbumPhotos().length > 0 || !!currentPhoto;
+        if (hasPhotos) bar.appendChild(createPhotoControls(currentPhoto));
+        bar.appendChild(createInCartControls(itemData.url, 'bar'));
+        const readExtras = () => ({
+            ...variantFields.read(),
+            ...(hasPhotos ? { photoUrls: capturedPhotoUrls() } : {})
+        });
+        bar.appendChild(createCartButton(itemData, 'large', readExtras));
+        return bar;
+    }
+
+    function createPhotoControls(currentPhoto) {
+        const wrap = document.createElement('div');
+        wrap.className = 'yucart-photo-controls';
+        wrap.appendChild(createPhotoSelect());
+        if (currentPhoto) {
+            wrap.appendChild(createBarButton('Pick photo', 'yucart-select-bar__btn--ghost', () => {
+                const url = currentPhoto();
+                if (!url) return;
+                const picked = togglePhotoPick(url);
+                if (photoMode !== 'picked') setPhotoMode('picked');
+                showToast(`${picked ? 'Photo picked' : 'Photo unpicked'} — ${pickedPhotos.size} picked`);
+            }));
+        }
+        return wrap;
+    }
 
-        const convertedStr = formatConverted(price);
-        const priceDisplay = convertedStr ? `¥${price} ≈ ${convertedStr}` : `¥${price}`;
+    function mountTile(tile, itemData) {
+        const overlay = document.createElement('div');
+        overlay.className = 'yucart-album-overlay';
 
-        bar.innerHTML = `
-      <div class="yucart-detail-bar__info">
-        <span class="yucart-detail-bar__price">${priceDisplay}</span>
-        <span class="yucart-detail-bar__title">${cleanTitle.slice(0, 60)}</span>
-      </div>
-    `;
+        // Converted price badge
+        if (formatConverted(itemData.price)) {
+            const badge = document.createElement('div');
+            badge.className = 'yucart-price-badge';
+            badge.textContent = formatPriceDisplay(itemData.priceChoices);
+            overlay.appendChild(badge);
+        }
 
-        const btn = createCartButton(itemData, 'large');
-        bar.appendChild(btn);
+        overlay.appendChild(createCartButton(itemData, 'small'));
 
-        // Insert after the header
-        const headerArea = document.querySelector('.showalbumheader') || titleEl.parentElement;
-        if (headerArea?.parentElement) {
-            headerArea.parentElement.insertBefore(bar, headerArea.nextSibling);
-        } else {
-            document.body.prepend(bar);
+        // Make the tile relative for overlay positioning
+        tile.classList.add('yucart-tile');
+        tile.style.position = 'relative';
+        tile.appendChild(overlay);
+        tile.appendChild(createInCartControls(itemData.url, 'tile'));
+        registerSelectableTile(tile, itemData);
+    }
+
+    // ── Vendor directory ───────────────────────────────────────
+    // The first vendor read from real page content is recorded as browsed
+    // (once per page); the product bar shows its rating and note.
+    let browsedVendorRecorded = false;
+
+    function recordBrowsedVendor(name) {
+        if (browsedVendorRecorded || !name) return;
+        browsedVendorRecorded = true;
+        chrome.runtime.sendMessage({ action: 'recordVendor', name, pageUrl: window.location.href });
+    }
+
+    function formatRating(rating) {
+        return rating ? '★'.repeat(rating) + '☆'.repeat(5 - rating) : '';
+    }
+
+    async function showVendorInfo(bar, vendorName) {
+        let vendor;
+        try {
+            vendor = (await chrome.runtime.sendMessage({ action: 'getVendor', name: vendorName }))?.vendor;
+        } catch {
+            return;
+        }
+        if (!vendor || !(vendor.favorite || vendor.rating || vendor.notes)) return;
+
+        const line = document.createElement('span');
+        line.className = 'yucart-detail-bar__vendor';
+        line.textContent = [vendor.favorite ? '♥' : '', formatRating(vendor.rating), vendor.notes].filter(Boolean).join(' · ');
+        if (vendor.notes) line.title = vendor.notes;
+        bar.querySelector('.yucart-detail-bar__info')?.appendChild(line);
+    }
+
+    // Tiles are priced from their title; unpriced ones are left alone
+    function processTiles(adapter, root = document) {
+        for (const layout of adapter.tiles || []) {
+            queryIncludingRoot(root, layout.selector).forEach(tile => {
+                if (tile.querySelector('.yucart-add-btn')) return; // already processed
+
+                const found = layout.read(tile);
+                const priceChoices = extractPriceChoices(found?.title || '');
+                const price = mainPrice(priceChoices);
+                if (!price) return;
+
+                const vendor = adapter.vendor();
+                mountTile(tile, {
+                    title: stripLeadingPrice(found.title),
+                    price: price,
+                    priceChoices: priceChoices,
+                    vendor: vendor,
+                    thumbnail: found.thumbnail,
+                    url: found.url
+                });
+                recordBrowsedVendor(vendor);
+            });
         }
     }
 
+    // Cache the product so site extras (the Yupoo lightbox) can reuse it
+    let productItemData = null;
+
+    function processProductPage(adapter) {
+        if (!adapter.product) return;
+        if (document.querySelector('.yucart-detail-bar')) return; // already injected
+
+        const itemData = adapter.product.read();
+        if (!itemData) return;
+        productItemData = itemData;
+
+        const caption = adapter.product.caption
+            ? adapter.product.caption(itemData)
+            : itemData.title.slice(0, 60);
+        const bar = createItemBar('yucart-detail-bar', itemData, caption);
+        adapter.product.mount(bar);
+        recordBrowsedVendor(itemData.vendor);
+        showVendorInfo(bar, itemData.vendor);
+    }
+
     // ══════════════════════════════════════════════════════════
-    //  CATEGORY / INDEX PAGE  (showindex view)
+    //  SITE ADAPTERS
     // ══════════════════════════════════════════════════════════
-    function processIndexPage(root = document) {
-        const items = queryIncludingRoot(root, '.showindex__children a');
-        if (!items.length) return;
-
-        items.forEach(item => {
-            if (item.querySelector('.yucart-add-btn')) return;
-
-            const titleText = item.getAttribute('title') || item.textContent.trim();
-            const price = extractPrice(titleText);
-            if (!price) return;
-
-            const imgEl = item.querySelector('img');
-            const thumbnail = getImageUrl(imgEl);
-            const url = item.href || window.location.href;
-            const cleanTitle = titleText.replace(/^\d[\d,.]*\s*[Yy](?:uan)?\s*/, '').trim() || titleText;
-
-            const itemData = {
-                title: cleanTitle,
-                price: price,
-                vendor: getVendorName(),
-                thumbnail: thumbnail,
-                url: url
-            };
+    // ── Yupoo ──────────────────────────────────────────────────
+    // Album grids (classic and album3 themes), the category index,
+    // album pages and the native image viewer.
+    function readYupooAlbum() {
+        const titleEl = document.querySelector('.showalbumheader__gallerytitle, .showalbumheader__title');
+        if (!titleEl) return null;
 
-            item.style.position = 'relative';
+        const titleText = titleEl.textContent.trim();
+        const priceChoices = extractPriceChoices(titleText);
+        const price = mainPrice(priceChoices);
+        if (!price) return null;
 
-            const overlay = document.createElement('div');
-            overlay.className = 'yucart-album-overlay';
+        // Get first image from gallery
+        const galleryImg = document.querySelector('.showalbum__children img');
+        const headerImg = document.querySelector('.showalbumheader__gallerycover img');
 
-            const convertedStr = formatConverted(price);
-            if (convertedStr) {
-                const badge = document.createElement('div');
-                badge.className = 'yucart-price-badge';
-                badge.textContent = `¥${price} ≈ ${convertedStr}`;
-                overlay.appendChild(badge);
-            }
+        return {
+            title: stripLeadingPrice(titleText),
+            price: price,
+            priceChoices: priceChoices,
+            vendor: getVendorName(),
+            thumbnail: getImageUrl(headerImg) || getImageUrl(galleryImg),
+            url: window.location.href,
+            // Subheading holds the Weidian/Taobao product link
+            subtitle: getGallerySubtitle()
+        };
+    }
 
-            const btn = createCartButton(itemData, 'small');
-            overlay.appendChild(btn);
-            item.appendChild(overlay);
-        });
+    // Insert after the header
+    function mountYupooAlbumBar(bar) {
+        const titleEl = document.querySelector('.showalbumheader__gallerytitle, .showalbumheader__title');
+        const headerArea = document.querySelector('.showalbumheader') || titleEl?.parentElement;
+        if (headerArea?.parentElement) {
+            headerArea.parentElement.insertBefore(bar, headerArea.nextSibling);
+        } else {
+            document.body.prepend(bar);
+        }
     }
 
-    // ══════════════════════════════════════════════════════════
-    //  IMAGE VIEWER / LIGHTBOX (native Yupoo overlay)
-    // ══════════════════════════════════════════════════════════
+    // Image viewer / lightbox (native Yupoo overlay)
     function processImageViewer() {
         const viewerMain = document.querySelector('.viewer__main');
-
-        // Note: Detail bar visibility is now handled by the global observers in init()
-
         if (!viewerMain) return;
         if (viewerMain.querySelector('.yucart-viewer-bar')) return; // already injected
-        if (!detailPageItemData) return; // need detail page context for price
+        if (!productItemData) return; // need album page context for price
 
-        const itemData = { ...detailPageItemData };
+        const itemData = { ...productItemData };
 
         // Try to get the current viewer image as thumbnail
         const viewerImg = viewerMain.querySelector('.viewer__img img, .viewer__imgwrap img');
@@ -520,44 +1250,253 @@
             if (viewerThumb) itemData.thumbnail = viewerThumb;
         }
 
-        const bar = document.createElement('div');
-        bar.className = 'yucart-viewer-bar';
-
-        const convertedStr = formatConverted(itemData.price);
-        const priceDisplay = convertedStr ? `¥${itemData.price} ≈ ${convertedStr}` : `¥${itemData.price}`;
-
-        bar.innerHTML = `
-          <div class="yucart-detail-bar__info">
-            <span class="yucart-detail-bar__price">${priceDisplay}</span>
-            <span class="yucart-detail-bar__title">${(itemData.title || '').slice(0, 60)}</span>
-          </div>
-        `;
-
-        const btn = createCartButton(itemData, 'large');
-        bar.appendChild(btn);
+        const currentPhoto = () => getImageUrl(viewerMain.querySelector('.viewer__img img, .viewer__imgwrap img'));
+        const bar = createItemBar('yucart-viewer-bar', itemData, (itemData.title || '').slice(0, 60), currentPhoto);
 
         // Insert the bar into the viewer — try the info sidebar first, else append to viewer
         const infoWrap = viewerMain.querySelector('.viewer__infowrap');
         if (infoWrap) {
             infoWrap.style.position = 'relative';
-            infoWrap.style.paddingBottom = '60px';
+            infoWrap.style.paddingBottom = '100px';
             infoWrap.appendChild(bar);
         } else {
             viewerMain.appendChild(bar);
         }
     }
 
+    // Hide the album bar while the lightbox is open; returns a teardown for cleanup()
+    function watchYupooLightbox() {
+        let lightboxDebounceTimer = null;
+        let viewerCheckInterval = null;
+
+        const handleLightboxChange = () => {
+            // Debounce to avoid expensive getComputedStyle on rapid mutations
+            if (lightboxDebounceTimer) clearTimeout(lightboxDebounceTimer);
+            lightboxDebounceTimer = setTimeout(() => {
+                const detailBar = document.querySelector('.yucart-detail-bar');
+                if (!detailBar) return;
+
+                const htmlStyle = document.documentElement.style;
+                const isHtmlLocked = htmlStyle.overflow === 'hidden' && htmlStyle.position === 'fixed';
+
+                const viewerMain = document.querySelector('.viewer__main');
+                const isViewerVisible = viewerMain && window.getComputedStyle(viewerMain).display !== 'none';
+
+                if (isHtmlLocked || isViewerVisible) {
+                    detailBar.style.setProperty('display', 'none', 'important');
+                } else {
+                    detailBar.style.removeProperty('display');
+                }
+
+                // Also trigger processImageViewer to ensure the inner bar is injected if needed
+                if (isViewerVisible) processImageViewer();
+            }, 50);
+        };
+
+        // 1. Monitor <html> styles
+        const htmlObserver = new MutationObserver(handleLightboxChange);
+        htmlObserver.observe(document.documentElement, {
+            attributes: true,
+            attributeFilter: ['style', 'class']
+        });
+
+        // 2. Monitor .viewer__main visibility (attributes)
+        // We need to find .viewer__main first, it might be lazy loaded
+        const viewerObserver = new MutationObserver(handleLightboxChange);
+
+        // Helper to attach viewer observer
+        const connectViewerObserver = () => {
+            const viewerMain = document.querySelector('.viewer__main');
+            if (viewerMain) {
+                viewerObserver.observe(viewerMain, {
+                    attributes: true,
+                    attributeFilter: ['style', 'class', 'hidden']
+                });
+                return true;
+            }
+            return false;
+        };
+
+        // Attempt to connect immediately
+        if (!connectViewerObserver()) {
+            // Poll until .viewer__main appears; interval is cleared on teardown
+            viewerCheckInterval = setInterval(() => {
+                if (connectViewerObserver()) {
+                    clearInterval(viewerCheckInterval);
+                    viewerCheckInterval = null;
+                }
+            }, 1000);
+        }
+
+        return () => {
+            htmlObserver.disconnect();
+            viewerObserver.disconnect();
+            if (viewerCheckInterval) clearInterval(viewerCheckInterval);
+            if (lightboxDebounceTimer) clearTimeout(lightboxDebounceTimer);
+        };
+    }
+
+    registerAdapter({
+        name: 'Yupoo',
+        matches: (url) => /(^|\.)yupoo\.com$/i.test(url.hostname),
+        darkMode: true,
+        vendor: getVendorName,
+        tiles: [
+            {
+                // Album grid (album__main: classic theme, album3__main: newer theme)
+                selector: '.album__main, .album3__main',
+                read: (album) => ({
+                    title: album.querySelector('.album__title')?.textContent?.trim() || album.getAttribute('title') || '',
+                    thumbnail: getImageUrl(album.querySelector('.album__img, .autocut, img')),
+                    url: album.href || window.location.href
+                })
+            },
+            {
+                // Category / index page (showindex view)
+                selector: '.showindex__children a',
+                read: (item) => ({
+                    title: item.getAttribute('title') || item.textContent.trim(),
+                    thumbnail: getImageUrl(item.querySelector('img')),
+                    url: item.href || window.location.href
+                })
+            }
+        ],
+        product: {
+            read: readYupooAlbum,
+            mount: mountYupooAlbumBar,
+            photos: () => Array.from(document.querySelectorAll('.showalbum__children'), child => ({
+                url: getImageUrl(child.querySelector('img')),
+                element: child
+            }))
+        },
+        extras: {
+            scan: processImageViewer,
+            setup: watchYupooLightbox
+        }
+    });
+
+    // ── Source stores (Weidian / Taobao / Tmall / 1688) ────────
+    // The canonical item URL is both the line's url and its source link
+    // (subtitle), so checkout works without a Yupoo album in between.
+    // Store markup changes often: selectors are tried in order, then meta tags.
+    function firstText(selectors) {
+        for (const selector of selectors) {
+            const text = document.querySelector(selector)?.textContent?.replace(/\s+/g, ' ').trim();
+            if (text) return text;
+        }
+        return '';
+    }
+
+    function metaContent(property) {
+        return document.querySelector(`meta[property="${property}"], meta[name="${property}"]`)?.content?.trim() || '';
+    }
+
+    // Store prices are plain CNY numbers ("128.00", "¥ 98-128"); a range gives its lowest
+    function readStorePrice(selectors) {
+        for (const selector of selectors) {
+            for (const el of document.querySelectorAll(selector)) {
+                const number = el.textContent.match(/\d[\d,]*(?:\.\d+)?/);
+                const price = number ? parsePriceNumber(number[0]) : null;
+                if (price) return price;
+            }
+        }
+        return null;
+    }
+
+    function readStoreImage(selectors) {
+        for (const selector of selectors) {
+            const url = getImageUrl(document.querySelector(selector));
+            if (url) return url;
+        }
+        const og = metaContent('og:image');
+        return og.startsWith('//') ? `https:${og}` : og;
+    }
+
+    // itemUrl(URL) → canonical item URL, or null when the page isn't an item
+    function createStoreAdapter({ name, host, itemUrl, title, price, image, shop }) {
+        const currentItemUrl = () => itemUrl(new URL(window.location.href));
+        return {
+            name,
+            matches: (url) => host.test(url.hostname) && Boolean(itemUrl(url)),
+            darkMode: false,
+            vendor: () => firstText(shop) || `${name} shop`,
+            product: {
+                // Taobao / 1688 render client-side: null until the next scan finds them
+                read: () => {
+                    const url = currentItemUrl();
+                    const itemTitle = firstText(title) || metaContent('og:title');
+                    const itemPrice = readStorePrice(price);
+                    if (!url || !itemTitle || !itemPrice) return null;
+                    return {
+                        title: itemTitle,
+                        price: itemPrice,
+                        vendor: firstText(shop) || `${name} shop`,
+                        thumbnail: readStoreImage(image),
+                        url: url,
+                        subtitle: url
+                    };
+                },
+                caption: (item) => `${name} · ${item.title.slice(0, 60)}`,
+                mount: (bar) => {
+                    bar.classList.add('yucart-detail-bar--store');
+                    document.body.appendChild(bar);
+                }
+            }
+        };
+    }
+
+    registerAdapter(createStoreAdapter({
+        name: 'Weidian',
+        host: /(^|\.)weidian\.com$/i,
+        itemUrl: (url) => {
+            const id = url.searchParams.get('itemID') || url.searchParams.get('itemId');
+            return id ? `https://weidian.com/item.html?itemID=${id}` : null;
+        },
+        title: ['.item-title', '.goods-title', '.item-name'],
+        price: ['.cur-price', '.item-price', '.sku-price', '.goods-price'],
+        image: ['.item-img img', '.goods-img img', '.swiper-slide img'],
+        shop: ['.shop-name', '.shop-title', '.shop-info .name']
+    }));
+
+    registerAdapter(createStoreAdapter({
+        name: 'Taobao',
+        host: /(^|\.)(taobao|tmall)\.com$/i,
+        itemUrl: (url) => {
+            const id = url.searchParams.get('id');
+            return id ? `https://item.taobao.com/item.htm?id=${id}` : null;
+        },
+        // Hashed CSS-module classes ("ItemHeader--mainTitle--x1y2"): substring, any case
+        title: ['[class*="mainTitle" i]', '.tb-main-title', '.tb-detail-hd h1', 'h1'],
+        price: ['[class*="highlightPrice" i] [class*="priceText" i]', '[class*="priceText" i]', '.tb-rmb-num', '.tm-price'],
+        image: ['[class*="mainPic" i] img', '#J_ImgBooth', '[class*="thumbnailPic" i] img'],
+        shop: ['[class*="shopName" i]', '.tb-shop-name', '.slogo-shopname']
+    }));
+
+    registerAdapter(createStoreAdapter({
+        name: '1688',
+        host: /(^|\.)1688\.com$/i,
+        itemUrl: (url) => {
+            const id = url.pathname.match(/\/offer\/(\d+)\.html/);
+            return id ? `https://detail.1688.com/offer/${id[1]}.html` : null;
+        },
+        title: ['.title-text', '.d-title', '.title-content h1', 'h1'],
+        price: ['.price-text', '.price-now', '.price-original-sku .value', '.price .value'],
+        image: ['.detail-gallery-img', '.detail-gallery-turn img', '.prop-img'],
+        shop: ['.shop-company-name', '.company-name', '.shop-name']
+    }));
+
     // ── Main scan ──────────────────────────────────────────────
     function scanPage() {
-        processAlbumListings();
-        processDetailPage();
-        processIndexPage();
-        processImageViewer();
+        const adapter = getActiveAdapter();
+        if (!adapter) return;
+        processTiles(adapter);
+        processProductPage(adapter);
+        adapter.extras?.scan?.();
     }
 
     function scanRoot(root) {
-        processAlbumListings(root);
-        processIndexPage(root);
+        const adapter = getActiveAdapter();
+        if (adapter) processTiles(adapter, root);
     }
 
     function queueRootForScan(node) {
@@ -608,8 +1547,14 @@
         }
 
         // These rely on page-level state, so run once per queued batch.
-        processDetailPage();
-        processImageViewer();
+        const adapter = getActiveAdapter();
+        if (adapter) {
+            processProductPage(adapter);
+            adapter.extras?.scan?.();
+            // Lazy-loaded album images: refresh counts and tick boxes
+            if (photoSelects.size) renderPhotoSelects();
+            if (photoMode === 'picked') decoratePhotoPicks();
+        }
     }
 
     function scheduleQueuedScan() {
@@ -619,8 +1564,12 @@
 
     // ── Init ───────────────────────────────────────────────────
     async function init() {
+        const adapter = getActiveAdapter();
+        if (!adapter) return;
+
         await loadRate();
         scanPage();
+        loadCartLines();
 
         // Re-scan on dynamic content (Yupoo lazy loads)
         // Queue only changed roots and debounce processing.
@@ -630,66 +1579,10 @@
         });
         observer.observe(document.body || document.documentElement, { childList: true, subtree: true });
 
-        // ── Robust Lightbox Detection ──────────────────────────────
-        const handleLightboxChange = () => {
-            // Debounce to avoid expensive getComputedStyle on rapid mutations
-            if (lightboxDebounceTimer) clearTimeout(lightboxDebounceTimer);
-            lightboxDebounceTimer = setTimeout(() => {
-                const detailBar = document.querySelector('.yucart-detail-bar');
-                if (!detailBar) return;
-
-                const htmlStyle = document.documentElement.style;
-                const isHtmlLocked = htmlStyle.overflow === 'hidden' && htmlStyle.position === 'fixed';
-
-                const viewerMain = document.querySelector('.viewer__main');
-                const isViewerVisible = viewerMain && window.getComputedStyle(viewerMain).display !== 'none';
-
-                if (isHtmlLocked || isViewerVisible) {
-                    detailBar.style.setProperty('display', 'none', 'important');
-                } else {
-                    detailBar.style.removeProperty('display');
-                }
-
-                // Also trigger processImageViewer to ensure the inner bar is injected if needed
-                if (isViewerVisible) processImageViewer();
-            }, 50);
-        };
-
-        // 1. Monitor <html> styles
-        htmlObserver = new MutationObserver(handleLightboxChange);
-        htmlObserver.observe(document.documentElement, {
-            attributes: true,
-            attributeFilter: ['style', 'class']
-        });
-
-        // 2. Monitor .viewer__main visibility (attributes)
-        // We need to find .viewer__main first, it might be lazy loaded
-        viewerObserver = new MutationObserver(handleLightboxChange);
-
-        // Helper to attach viewer observer
-        const connectViewerObserver = () => {
-            const viewerMain = document.querySelector('.viewer__main');
-            if (viewerMain) {
-                viewerObserver.observe(viewerMain, {
-                    attributes: true,
-                    attributeFilter: ['style', 'class', 'hidden']
-                });
-                return true;
-            }
-            return false;
-        };
-
-        // Attempt to connect immediately
-        if (!connectViewerObserver()) {
-            // Poll until .viewer__main appears; interval is cleared on cleanup
-            viewerCheckInterval = setInterval(() => {
-                if (connectViewerObserver()) {
-                    clearInterval(viewerCheckInterval);
-                    viewerCheckInterval = null;
-                }
-            }, 1000);
-        }
+        // Site-specific watchers (the Yupoo lightbox), torn down in cleanup()
+        adapterTeardown = adapter.extras?.setup?.() || null;
     }
 
+    applyInitialDarkMode();
     init();
 })();
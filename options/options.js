@@ -2,7 +2,11 @@
    YuCart — Options Page Logic
    ============================================================ */
 
-const SETTINGS_KEY = 'yucart_settings';
+const { SETTINGS_KEY, SYNC_STATUS_KEY, VENDORS_KEY } = YuCartKeys; // shared/storage-keys.js
+
+// Landed-cost profiles being edited; saved with the rest of the settings
+let costProfiles = {};
+let costProfileAgent = 'superbuy';
 
 document.addEventListener('DOMContentLoaded', init);
 
@@ -23,6 +27,15 @@ async function init() {
     const darkModeCheckbox = document.getElementById('darkMode');
     darkModeCheckbox.checked = settings.darkMode !== false; // default true
 
+    // Set cart sync checkbox (opt-in)
+    document.getElementById('cartSync').checked = settings.cartSync === true;
+
+    // Set price watch checkbox (opt-in)
+    document.getElementById('priceWatch').checked = settings.priceWatch === true;
+
+    // Set auto-clean checkbox (opt-in)
+    document.getElementById('autoClean').checked = settings.autoClean === true;
+
     // Set AI provider and API key
     const providerSelect = document.getElementById('aiProvider');
     const apiKeyInput = document.getElementById('aiApiKey');
@@ -30,6 +43,23 @@ async function init() {
     if (settings.aiApiKey) {
         apiKeyInput.value = settings.aiApiKey;
     }
+    showAiCustom(settings.aiCustom || {});
+    providerSelect.addEventListener('change', toggleAiCustomFields);
+
+    // Landed cost: the background fills in defaults for missing profiles
+    const resolved = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    costProfiles = resolved?.settings?.costProfiles || {};
+    const costAgentSelect = document.getElementById('costAgent');
+    costAgentSelect.value = agentSelect.value;
+    showCostProfile(costAgentSelect.value);
+    costAgentSelect.addEventListener('change', () => {
+        readCostProfile();
+        showCostProfile(costAgentSelect.value);
+    });
+    const categoryWeights = resolved?.settings?.categoryWeights || {};
+    document.querySelectorAll('[data-weight-category]').forEach(input => {
+        input.value = categoryWeights[input.dataset.weightCategory] ?? '';
+    });
 
     // Load current rate
     loadRate(settings.targetCurrency);
@@ -40,6 +70,43 @@ async function init() {
     currencySelect.addEventListener('change', () => {
         loadRate(currencySelect.value);
     });
+
+    // Backup & restore
+    document.getElementById('exportActiveBtn').addEventListener('click', () => exportHauls('active'));
+    document.getElementById('exportAllBtn').addEventListener('click', () => exportHauls('all'));
+    document.getElementById('importBtn').addEventListener('click', () => {
+        document.getElementById('importFile').click();
+    });
+    document.getElementById('importFile').addEventListener('change', importHauls);
+    document.getElementById('quarantineDownloadBtn').addEventListener('click', downloadQuarantine);
+    document.getElementById('quarantineDiscardBtn').addEventListener('click', discardQuarantine);
+    loadQuarantine();
+
+    // Cart sync
+    document.getElementById('syncNowBtn').addEventListener('click', syncNow);
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes[SYNC_STATUS_KEY]) loadSyncStatus();
+    });
+    loadSyncStatus();
+
+    // Price watch
+    document.getElementById('priceCheckBtn').addEventListener('click', checkPricesNow);
+    loadPriceWatchStatus();
+
+    // Vendor directory
+    document.getElementById('vendorSearch').addEventListener('input', renderVendorList);
+    chrome.storage.onChanged.addListener((changes, area) => {
+        // Our own edits also land here; skip while a note is being typed
+        if (area === 'local' && changes[VENDORS_KEY] && !document.activeElement?.closest('.vendor-row')) loadVendors();
+    });
+    loadVendors();
+
+    // Custom AI server
+    document.getElementById('aiCustomTestBtn').addEventListener('click', checkAiCustomServer);
+
+    // Image storage
+    document.getElementById('imageGcBtn').addEventListener('click', cleanUpImages);
+    loadImageStats();
 }
 
 async function loadRate(currency) {
@@ -84,6 +151,9 @@ async function refreshRate() {
 }
 
 async function save() {
+    // Ask for the custom server's origin while the click still counts as a user gesture
+    const access = document.getElementById('aiProvider').value === 'custom' ? requestAiCustomAccess() : null;
+
     // Load existing settings first to preserve API key if field appears empty (masked)
     const result = await chrome.storage.sync.get(SETTINGS_KEY);
     const existingSettings = result[SETTINGS_KEY] || {};
@@ -95,12 +165,23 @@ async function save() {
         targetCurrency: document.getElementById('currency').value,
         selectedAgent: document.getElementById('selectedAgent').value,
         darkMode: document.getElementById('darkMode').checked,
+        cartSync: document.getElementById('cartSync').checked,
+        priceWatch: document.getElementById('priceWatch').checked,
+        costProfiles: readCostProfile(),
+        categoryWeights: readCategoryWeights(),
         aiProvider: document.getElementById('aiProvider').value,
+        aiCustom: readAiCustom(),
+        autoClean: document.getElementById('autoClean').checked,
+        groupBy: existingSettings.groupBy || 'vendor', // set from the popup
         // Only update API key if user entered something (preserve existing if empty)
         aiApiKey: apiKey || existingSettings.aiApiKey || ''
     };
 
     await chrome.storage.sync.set({ [SETTINGS_KEY]: settings });
+    loadSyncStatus();
+    if (access && !await access) {
+        setAiCustomStatus('No access', 'Chrome did not allow requests to this server; cleaning will fail until it does');
+    }
 
     // Show saved status
     const status = document.getElementById('saveStatus');
@@ -109,6 +190,399 @@ async function save() {
     setTimeout(() => status.classList.remove('save-status--visible'), 2000);
 }
 
+// ── Custom AI server ─────────────────────────────────────────
+// Any OpenAI-compatible chat completions endpoint. Hosts outside the
+// manifest's list need an optional host permission, granted per origin.
+function toggleAiCustomFields() {
+    document.getElementById('aiCustomFields').hidden = document.getElementById('aiProvider').value !== 'custom';
+}
+
+function showAiCustom(custom) {
+    document.getElementById('aiCustomBaseUrl').value = custom.baseUrl || '';
+    document.getElementById('aiCustomModel').value = custom.model || '';
+    document.getElementById('aiCustomHeaders').value = Object.entries(custom.headers || {})
+        .map(([name, value]) => `${name}: ${value}`)
+        .join('\n');
+    document.getElementById('aiCustomVision').checked = custom.vision === true;
+    toggleAiCustomFields();
+}
+
+// "Name: value" lines; lines without a colon are ignored. The background drops invalid names.
+function readAiCustom() {
+    const headers = {};
+    document.getElementById('aiCustomHeaders').value.split('\n').forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon > 0) headers[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+    });
+    return {
+        baseUrl: document.getElementById('aiCustomBaseUrl').value.trim().replace(/\/+$/, ''),
+        model: document.getElementById('aiCustomModel').value.trim(),
+        headers,
+        vision: document.getElementById('aiCustomVision').checked
+    };
+}
+
+function aiCustomOrigin(baseUrl) {
+    try {
+        const url = new URL(baseUrl);
+        // Match patterns have no port: http://localhost/* covers every local port
+        return /^https?:$/.test(url.protocol) ? `${url.protocol}//${url.hostname}/*` : null;
+    } catch {
+        return null;
+    }
+}
+
+// Resolves true when the extension may call the server; must start inside a click handler
+function requestAiCustomAccess() {
+    const origin = aiCustomOrigin(readAiCustom().baseUrl);
+    if (!origin) return Promise.resolve(false);
+    return chrome.permissions.request({ origins: [origin] }).catch(() => false);
+}
+
+function setAiCustomStatus(state, detail) {
+    document.getElementById('aiCustomState').textContent = state;
+    document.getElementById('aiCustomDetail').textContent = detail;
+}
+
+// Lists the server's models (GET /models) to confirm the URL, key and model name
+async function checkAiCustomServer() {
+    const access = requestAiCustomAccess();
+    const custom = readAiCustom();
+    if (!aiCustomOrigin(custom.baseUrl)) {
+        setAiCustomStatus('Invalid URL', 'Enter the server\'s http(s) base URL, e.g. http://localhost:11434/v1');
+        return;
+    }
+    const btn = document.getElementById('aiCustomTestBtn');
+    btn.disabled = true;
+    setAiCustomStatus('Checking…', custom.baseUrl);
+    try {
+        if (!await access) throw new Error('Chrome did not allow requests to this server');
+
+        const result = await chrome.storage.sync.get(SETTINGS_KEY);
+        const apiKey = document.getElementById('aiApiKey').value.trim() || result[SETTINGS_KEY]?.aiApiKey || '';
+        const response = await fetch(`${custom.baseUrl}/models`, {
+            headers: { ...custom.headers, ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}) }
+        });
+        if (!response.ok) throw new Error(`Server answered HTTP ${response.status}`);
+
+        const models = ((await response.json().catch(() => ({}))).data || []).map(m => m.id);
+        if (!custom.model) setAiCustomStatus('✓ Reachable', 'Enter a model name');
+        else if (models.length === 0 || models.includes(custom.model)) setAiCustomStatus('✓ Reachable', `Model ${custom.model}`);
+        else setAiCustomStatus('Model not listed', `Server offers: ${models.slice(0, 5).join(', ')}${models.length > 5 ? '…' : ''}`);
+    } catch (e) {
+        setAiCustomStatus('Unreachable', e.message || 'Request failed');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+function showSyncStatus(status) {
+    const stateEl = document.getElementById('syncState');
+    const detailEl = document.getElementById('syncDetail');
+    const labels = { off: 'Off', pending: 'Waiting to sync…', ok: '✓ Synced', error: 'Sync problem' };
+    stateEl.textContent = labels[status?.state] || 'Off';
+    document.getElementById('syncNowBtn').disabled = !status || status.state === 'off';
+
+    if (status?.state === 'error') {
+        detailEl.textContent = status.error || 'Sync failed';
+    } else if (status?.lastSyncedAt) {
+        const used = status.quota ? ` · ${Math.round((status.bytes / status.quota) * 100)}% of sync storage used` : '';
+        detailEl.textContent = `Last synced ${new Date(status.lastSyncedAt).toLocaleString()}${used}`;
+    } else {
+        detailEl.textContent = '';
+    }
+}
+
+async function loadSyncStatus() {
+    try {
+        showSyncStatus(await chrome.runtime.sendMessage({ action: 'getSyncStatus' }));
+    } catch {
+        showSyncStatus(null);
+    }
+}
+
+async function syncNow() {
+    const btn = document.getElementById('syncNowBtn');
+    btn.disabled = true;
+    btn.textContent = 'Syncing...';
+    try {
+        const resp = await chrome.runtime.sendMessage({ action: 'syncNow' });
+        showSyncStatus(resp?.status);
+    } finally {
+        btn.textContent = 'Sync Now';
+        loadSyncStatus();
+    }
+}
+
+function showCostProfile(agent) {
+    costProfileAgent = agent;
+    const profile = costProfiles[agent] || {};
+    document.querySelectorAll('[data-cost-field]').forEach(input => {
+        input.value = profile[input.dataset.costField] ?? '';
+    });
+}
+
+// Pull the visible inputs into costProfiles; blank or invalid fields are left
+// out so the background falls back to its default
+function readCostProfile() {
+    const profile = {};
+    document.querySelectorAll('[data-cost-field]').forEach(input => {
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value) && value >= 0) profile[input.dataset.costField] = value;
+    });
+    costProfiles[costProfileAgent] = profile;
+    return costProfiles;
+}
+
+function readCategoryWeights() {
+    const weights = {};
+    document.querySelectorAll('[data-weight-category]').forEach(input => {
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value) && value >= 0) weights[input.dataset.weightCategory] = Math.round(value);
+    });
+    return weights;
+}
+
+function showPriceWatchStatus(lastRun) {
+    const stateEl = document.getElementById('priceWatchState');
+    const detailEl = document.getElementById('priceWatchDetail');
+    if (!lastRun) {
+        stateEl.textContent = 'Never checked';
+        detailEl.textContent = '';
+        return;
+    }
+    stateEl.textContent = lastRun.changed > 0
+        ? `${lastRun.changed} price change${lastRun.changed !== 1 ? 's' : ''} found`
+        : 'No price changes';
+    const failed = lastRun.failed > 0 ? ` · ${lastRun.failed} couldn't be read` : '';
+    detailEl.textContent = `${lastRun.checked} album${lastRun.checked !== 1 ? 's' : ''} checked ${new Date(lastRun.at).toLocaleString()}${failed}`;
+}
+
+async function loadPriceWatchStatus() {
+    const resp = await chrome.runtime.sendMessage({ action: 'getPriceWatchStatus' });
+    showPriceWatchStatus(resp?.lastRun);
+}
+
+async function checkPricesNow() {
+    const btn = document.getElementById('priceCheckBtn');
+    btn.disabled = true;
+    btn.textContent = 'Checking...';
+    try {
+        const resp = await chrome.runtime.sendMessage({ action: 'checkPricesNow' });
+        if (resp?.error) throw new Error(resp.error);
+        showPriceWatchStatus(resp?.result);
+    } catch (e) {
+        document.getElementById('priceWatchDetail').textContent = e.message || 'Price check failed';
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'Check Now';
+    }
+}
+
+function setBackupStatus(message, type = '') {
+    const status = document.getElementById('backupStatus');
+    status.textContent = message;
+    status.className = 'backup-status' + (type ? ` backup-status--${type}` : '');
+}
+
+async function exportHauls(scope) {
+    try {
+        const resp = await chrome.runtime.sendMessage({ action: 'exportHauls', scope });
+        if (!resp?.data) throw new Error(resp?.error || 'Export failed');
+
+        const date = new Date().toISOString().slice(0, 10);
+        const blob = new Blob([JSON.stringify(resp.data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `yucart-${scope === 'all' ? 'all-hauls' : 'haul'}-${date}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        const count = resp.data.hauls.reduce((sum, h) => sum + h.items.length, 0);
+        setBackupStatus(`✓ Exported ${count} item${count !== 1 ? 's' : ''}`, 'success');
+    } catch (e) {
+        setBackupStatus(e.message || 'Export failed', 'error');
+    }
+}
+
+async function importHauls(event) {
+    const input = event.target;
+    const file = input.files?.[0];
+    input.value = ''; // allow re-importing the same file
+    if (!file) return;
+
+    try {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch {
+            throw new Error('File is not valid JSON');
+        }
+
+        const mode = document.getElementById('importMode').value;
+        const resp = await chrome.runtime.sendMessage({ action: 'importHauls', data, mode });
+        if (!resp?.success) throw new Error(resp?.error || 'Import failed');
+
+        setBackupStatus(`✓ Imported ${resp.imported} item${resp.imported !== 1 ? 's' : ''}`, 'success');
+    } catch (e) {
+        setBackupStatus(e.message || 'Import failed', 'error');
+    }
+}
+
+// Damaged cart entries the background set aside instead of loading
+let quarantinedEntries = [];
+
+async function loadQuarantine() {
+    const resp = await chrome.runtime.sendMessage({ action: 'getQuarantine' });
+    quarantinedEntries = resp?.entries || [];
+    const notice = document.getElementById('quarantineNotice');
+    const count = quarantinedEntries.length;
+    notice.style.display = count > 0 ? 'flex' : 'none';
+    document.getElementById('quarantineText').textContent =
+        `${count} damaged cart entr${count === 1 ? 'y was' : 'ies were'} set aside during repair.`;
+}
+
+function downloadQuarantine() {
+    const blob = new Blob([JSON.stringify(quarantinedEntries, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `yucart-quarantine-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function discardQuarantine() {
+    await chrome.runtime.sendMessage({ action: 'clearQuarantine' });
+    loadQuarantine();
+}
+
+// Vendor directory (background: getVendorDirectory / updateVendor)
+let vendors = [];
+
+async function loadVendors() {
+    const resp = await chrome.runtime.sendMessage({ action: 'getVendorDirectory' });
+    vendors = resp?.vendors || [];
+    renderVendorList();
+}
+
+async function updateVendor(name, changes) {
+    const resp = await chrome.runtime.sendMessage({ action: 'updateVendor', name, changes });
+    // On failure, reload so the row shows what was actually stored
+    if (!resp?.success) loadVendors();
+}
+
+function renderVendorList() {
+    const list = document.getElementById('vendorList');
+    const query = document.getElementById('vendorSearch').value.trim().toLowerCase();
+    const shown = vendors.filter(v => !query || v.name.toLowerCase().includes(query) || v.notes.toLowerCase().includes(query));
+    document.getElementById('vendorEmpty').style.display = vendors.length === 0 ? 'block' : 'none';
+    list.replaceChildren(...shown.map(createVendorRow));
+}
+
+// Built with DOM nodes: names and notes are user or seller text
+function createVendorRow(vendor) {
+    const row = document.createElement('div');
+    row.className = 'vendor-row';
+
+    const head = document.createElement('div');
+    head.className = 'vendor-row__head';
+
+    const favorite = document.createElement('button');
+    favorite.className = `vendor-row__favorite${vendor.favorite ? ' vendor-row__favorite--on' : ''}`;
+    favorite.textContent = vendor.favorite ? '♥' : '♡';
+    favorite.title = vendor.favorite ? 'Remove from favorites' : 'Add to favorites';
+    favorite.addEventListener('click', () => updateVendor(vendor.name, { favorite: !vendor.favorite }));
+
+    const name = document.createElement(vendor.storeUrl ? 'a' : 'span');
+    name.className = 'vendor-row__name';
+    name.textContent = vendor.name;
+    if (vendor.storeUrl) {
+        name.href = vendor.storeUrl;
+        name.target = '_blank';
+        name.rel = 'noopener';
+    }
+
+    const stats = document.createElement('span');
+    stats.className = 'vendor-row__stats';
+    const parts = [];
+    if (vendor.spent > 0) parts.push(`¥${vendor.spent.toLocaleString()} spent · ${vendor.orderedItems} item${vendor.orderedItems !== 1 ? 's' : ''} ordered`);
+    if (vendor.inCart > 0) parts.push(`${vendor.inCart} in cart`);
+    const lastSeen = Math.max(vendor.lastSeenAt || 0, vendor.lastOrderAt || 0);
+    if (lastSeen) parts.push(`seen ${timeSince(lastSeen)}`);
+    stats.textContent = parts.join(' · ');
+
+    head.append(favorite, name, stats);
+
+    const edit = document.createElement('div');
+    edit.className = 'vendor-row__edit';
+
+    const rating = document.createElement('select');
+    rating.className = 'vendor-row__rating';
+    rating.title = 'Your rating';
+    ['Not rated', '★', '★★', '★★★', '★★★★', '★★★★★'].forEach((label, value) => {
+        rating.add(new Option(label, String(value), false, value === vendor.rating));
+    });
+    rating.addEventListener('change', () => updateVendor(vendor.name, { rating: Number(rating.value) }));
+
+    const notes = document.createElement('input');
+    notes.type = 'text';
+    notes.className = 'vendor-row__notes';
+    notes.placeholder = 'Notes (e.g. slow shipping, good batch for AJ1)';
+    notes.maxLength = 500;
+    notes.value = vendor.notes;
+    notes.addEventListener('change', () => updateVendor(vendor.name, { notes: notes.value }));
+
+    edit.append(rating, notes);
+    row.append(head, edit);
+    return row;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+function showImageStats(stats) {
+    const statsEl = document.getElementById('imageStats');
+    const quotaEl = document.getElementById('imageQuota');
+    if (!stats) {
+        statsEl.textContent = 'Unavailable';
+        quotaEl.textContent = '';
+        return;
+    }
+    statsEl.textContent = `${stats.count} image${stats.count !== 1 ? 's' : ''} · ${formatBytes(stats.bytes)} of ${formatBytes(stats.budget)}`;
+    quotaEl.textContent = stats.quota
+        ? `Extension storage: ${formatBytes(stats.usage)} used of ${formatBytes(stats.quota)} available`
+        : '';
+}
+
+async function loadImageStats() {
+    try {
+        const resp = await chrome.runtime.sendMessage({ action: 'getImageStats' });
+        showImageStats(resp?.stats);
+    } catch {
+        showImageStats(null);
+    }
+}
+
+async function cleanUpImages() {
+    const statsEl = document.getElementById('imageStats');
+    statsEl.textContent = 'Cleaning up...';
+    try {
+        const resp = await chrome.runtime.sendMessage({ action: 'collectImageGarbage' });
+        showImageStats(resp?.stats);
+        const removed = (resp?.removed || 0) + (resp?.evicted || 0);
+        document.getElementById('imageQuota').textContent =
+            `Removed ${removed} unused image${removed !== 1 ? 's' : ''}`;
+    } catch {
+        showImageStats(null);
+    }
+}
+
 function timeSince(timestamp) {
     const seconds = Math.floor((Date.now() - timestamp) / 1000);
     if (seconds < 60) return 'just now';
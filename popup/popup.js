@@ -1,18 +1,25 @@
 /* ============================================================
    YuCart — Popup Logic
-   Cart display, vendor grouping, currency conversion, AI name cleaning
+   Cart display, vendor/category/brand grouping, currency conversion,
+   AI name cleaning and categorization
    ============================================================ */
 
 document.addEventListener('DOMContentLoaded', init);
 
 let cart = [];
+let hauls = [];
+let activeHaulId = null;
 let settings = {};
 let rateData = null;
 let aiProvider = 'openai';
 let aiApiKey = '';
-const GEMINI_MAX_ITEMS_PER_BATCH = 20;
-const GEMINI_MAX_IMAGE_DIMENSION = 320;
-const GEMINI_IMAGE_QUALITY = 0.72;
+let aiCustom = { baseUrl: '', model: '', headers: {}, vision: false }; // custom OpenAI-compatible server
+let aiJob = null; // background cleaning job this popup is showing
+let aiRetryEntries = []; // lines AI jobs couldn't finish, waiting for a retry
+const { IMAGE_DB_NAME, IMAGE_STORE, SYNC_STATUS_KEY, VENDORS_KEY, AI_JOBS_KEY, AI_RETRY_KEY } = YuCartKeys; // shared/storage-keys.js
+
+// Vendor directory entries by lowercased name (favorite, rating, notes)
+let vendorDirectory = new Map();
 
 const CURRENCY_SYMBOLS = {
     USD: '$', EUR: '€', GBP: '£', AUD: 'A$', CAD: 'C$',
@@ -44,15 +51,19 @@ async function init() {
     settings = settingsResp?.settings || { targetCurrency: 'USD' };
     aiProvider = settings.aiProvider || 'openai';
     aiApiKey = settings.aiApiKey || '';
+    aiCustom = settings.aiCustom || aiCustom;
 
     // Load rate
     const rateResp = await chrome.runtime.sendMessage({ action: 'getRate', currency: settings.targetCurrency });
     rateData = rateResp?.rateData || null;
     updateRateBar();
 
-    // Load cart
+    // Load hauls + active cart
+    const haulsResp = await chrome.runtime.sendMessage({ action: 'getHauls' });
+    applyHaulSummary(haulsResp);
     const cartResp = await chrome.runtime.sendMessage({ action: 'getCart' });
     cart = cartResp?.cart || [];
+    await loadVendors();
     render();
 
     // Check for updates
@@ -60,28 +71,129 @@ async function init() {
 
     // Show/hide AI buttons based on API key
     const cleanAllBtn = document.getElementById('cleanAllBtn');
+    const categorizeBtn = document.getElementById('categorizeBtn');
     const resetNamesBtn = document.getElementById('resetNamesBtn');
     if (cleanAllBtn) {
-        cleanAllBtn.style.display = aiApiKey ? 'inline-flex' : 'none';
+        cleanAllBtn.style.display = isAiConfigured() ? 'inline-flex' : 'none';
+    }
+    if (categorizeBtn) {
+        categorizeBtn.style.display = isAiConfigured() ? 'inline-flex' : 'none';
     }
     if (resetNamesBtn) {
-        resetNamesBtn.style.display = aiApiKey ? 'inline-flex' : 'none';
+        resetNamesBtn.style.display = isAiConfigured() ? 'inline-flex' : 'none';
     }
 
     // Event listeners
     document.getElementById('clearBtn').addEventListener('click', handleClear);
     document.getElementById('exportBtn').addEventListener('click', handleExport);
+    document.getElementById('historyBtn').addEventListener('click', toggleHistoryView);
+    document.getElementById('historySearch').addEventListener('input', renderHistory);
     document.getElementById('checkoutBtn').addEventListener('click', handleCheckout);
     document.getElementById('settingsLink').addEventListener('click', (e) => {
         e.preventDefault();
         chrome.runtime.openOptionsPage();
     });
     if (cleanAllBtn) {
-        cleanAllBtn.addEventListener('click', handleCleanAll);
+        cleanAllBtn.addEventListener('click', () => startAiJob('clean'));
+    }
+    if (categorizeBtn) {
+        categorizeBtn.addEventListener('click', () => startAiJob('categorize'));
     }
+    document.getElementById('aiRetryBtn').addEventListener('click', handleAiRetry);
+    document.getElementById('groupToggle').addEventListener('click', handleGroupToggle);
     if (resetNamesBtn) {
         resetNamesBtn.addEventListener('click', handleResetNames);
     }
+    bindHaulBarEvents();
+    document.addEventListener('keydown', handleUndoShortcut);
+
+    // Cart sync
+    document.getElementById('syncStatus').addEventListener('click', handleSyncNow);
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes[SYNC_STATUS_KEY]) loadSyncStatus();
+        if (area === 'local' && changes[VENDORS_KEY]) loadVendors().then(render);
+        if (area === 'local' && changes[AI_JOBS_KEY]) handleAiJobsChanged(changes[AI_JOBS_KEY].newValue || []);
+        if (area === 'local' && changes[AI_RETRY_KEY]) {
+            aiRetryEntries = changes[AI_RETRY_KEY].newValue || [];
+            renderAiRetry();
+        }
+    });
+    chrome.runtime.onMessage.addListener((msg) => {
+        if (msg.action === 'cartSynced') refreshFromSync();
+    });
+    loadSyncStatus();
+    loadAiJob();
+    loadAiRetryQueue();
+}
+
+// ── Cart Sync ────────────────────────────────────────────────
+function renderSyncStatus(status) {
+    const el = document.getElementById('syncStatus');
+    if (!status || status.state === 'off') {
+        el.hidden = true;
+        return;
+    }
+    el.hidden = false;
+    el.classList.toggle('sync-status--error', status.state === 'error');
+    if (status.state === 'error') {
+        el.textContent = '⚠ Sync issue';
+        el.title = `${status.error || 'Sync failed'} — click to retry`;
+    } else if (status.state === 'ok') {
+        el.textContent = '☁ Synced';
+        el.title = `Last synced ${new Date(status.lastSyncedAt).toLocaleString()} — click to sync now`;
+    } else {
+        el.textContent = '☁ Syncing…';
+        el.title = 'Waiting to sync';
+    }
+}
+
+async function loadSyncStatus() {
+    try {
+        renderSyncStatus(await chrome.runtime.sendMessage({ action: 'getSyncStatus' }));
+    } catch {
+        renderSyncStatus(null);
+    }
+}
+
+async function handleSyncNow() {
+    renderSyncStatus({ state: 'pending' });
+    const resp = await chrome.runtime.sendMessage({ action: 'syncNow' });
+    if (resp?.success) {
+        applyHaulSummary(resp);
+        cart = resp.cart || [];
+        render();
+    }
+    loadSyncStatus();
+}
+
+// Another device changed the cart; skip while the user is mid-edit
+async function refreshFromSync() {
+    if (haulNameMode || document.querySelector('.variant-editor')) return;
+    const haulsResp = await chrome.runtime.sendMessage({ action: 'getHauls' });
+    applyHaulSummary(haulsResp);
+    const cartResp = await chrome.runtime.sendMessage({ action: 'getCart' });
+    cart = cartResp?.cart || [];
+    render();
+}
+
+// ── Vendors ──────────────────────────────────────────────────
+async function loadVendors() {
+    const resp = await chrome.runtime.sendMessage({ action: 'getVendorDirectory' });
+    vendorDirectory = new Map((resp?.vendors || []).map(v => [v.name.trim().toLowerCase(), v]));
+}
+
+// Favorite / rating next to the group name, note underneath (from the options page)
+function renderVendorBadges(vendorName) {
+    const vendor = vendorDirectory.get(vendorName.trim().toLowerCase());
+    if (!vendor || !(vendor.favorite || vendor.rating)) return '';
+    const stars = vendor.rating ? '★'.repeat(vendor.rating) + '☆'.repeat(5 - vendor.rating) : '';
+    const title = [vendor.favorite ? 'Favorite' : '', vendor.rating ? `Rated ${vendor.rating}/5` : ''].filter(Boolean).join(' · ');
+    return `<span class="vendor-group__rating" title="${title}">${vendor.favorite ? '♥ ' : ''}${stars}</span>`;
+}
+
+function renderVendorNote(vendorName) {
+    const notes = vendorDirectory.get(vendorName.trim().toLowerCase())?.notes;
+    return notes ? `<div class="vendor-group__note" title="${escapeHtml(notes)}">${escapeHtml(notes)}</div>` : '';
 }
 
 // ── Rate Bar ─────────────────────────────────────────────────
@@ -95,6 +207,301 @@ function updateRateBar() {
     }
 }
 
+// ── Hauls ────────────────────────────────────────────────────
+let haulNameMode = null; // 'create' | 'rename' while the name input is open
+let deleteConfirmTimer = null;
+
+function applyHaulSummary(resp) {
+    if (!resp?.hauls) return;
+    hauls = resp.hauls;
+    activeHaulId = resp.activeHaulId;
+}
+
+function renderHaulBar() {
+    const select = document.getElementById('haulSelect');
+    select.innerHTML = hauls.map(haul => {
+        // The active haul's count comes from the live cart, summaries may be stale
+        const count = haul.id === activeHaulId
+            ? cart.reduce((s, i) => s + i.quantity, 0)
+            : haul.itemCount;
+        const selected = haul.id === activeHaulId ? ' selected' : '';
+        return `<option value="${escapeHtml(haul.id)}"${selected}>${escapeHtml(haul.name)} (${count})</option>`;
+    }).join('');
+    document.getElementById('deleteHaulBtn').disabled = hauls.length <= 1;
+}
+
+function bindHaulBarEvents() {
+    const select = document.getElementById('haulSelect');
+    const input = document.getElementById('haulNameInput');
+
+    select.addEventListener('change', async () => {
+        const resp = await chrome.runtime.sendMessage({ action: 'switchHaul', haulId: select.value });
+        applyHaulSummary(resp);
+        cart = resp?.cart || [];
+        render();
+    });
+
+    document.getElementById('newHaulBtn').addEventListener('click', () => openHaulNameInput('create'));
+    document.getElementById('renameHaulBtn').addEventListener('click', () => openHaulNameInput('rename'));
+    document.getElementById('deleteHaulBtn').addEventListener('click', handleDeleteHaul);
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            commitHaulName();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            closeHaulNameInput();
+        }
+    });
+    input.addEventListener('blur', () => closeHaulNameInput());
+}
+
+function openHaulNameInput(mode) {
+    const select = document.getElementById('haulSelect');
+    const input = document.getElementById('haulNameInput');
+    const active = hauls.find(h => h.id === activeHaulId);
+
+    haulNameMode = mode;
+    input.value = mode === 'rename' && active ? active.name : '';
+    select.style.display = 'none';
+    input.style.display = 'block';
+    input.focus();
+    input.select();
+}
+
+function closeHaulNameInput() {
+    haulNameMode = null;
+    document.getElementById('haulNameInput').style.display = 'none';
+    document.getElementById('haulSelect').style.display = '';
+}
+
+async function commitHaulName() {
+    const name = document.getElementById('haulNameInput').value.trim();
+    const mode = haulNameMode;
+    closeHaulNameInput();
+    if (!name) return;
+
+    if (mode === 'create') {
+        const resp = await chrome.runtime.sendMessage({ action: 'createHaul', name });
+        applyHaulSummary(resp);
+        cart = resp?.cart || [];
+        render();
+        showToast(`Created haul "${name}"`);
+    } else if (mode === 'rename') {
+        const resp = await chrome.runtime.sendMessage({ action: 'renameHaul', haulId: activeHaulId, name });
+        applyHaulSummary(resp);
+        renderHaulBar();
+    }
+}
+
+// Two-step delete: first click arms the button, second click within 3s deletes
+async function handleDeleteHaul() {
+    const btn = document.getElementById('deleteHaulBtn');
+    if (!btn.classList.contains('btn--confirm')) {
+        btn.classList.add('btn--confirm');
+        btn.title = 'Click again to delete this haul';
+        deleteConfirmTimer = setTimeout(() => {
+            btn.classList.remove('btn--confirm');
+            btn.title = 'Delete haul';
+        }, 3000);
+        return;
+    }
+
+    clearTimeout(deleteConfirmTimer);
+    btn.classList.remove('btn--confirm');
+    btn.title = 'Delete haul';
+
+    const deleted = hauls.find(h => h.id === activeHaulId);
+    const resp = await chrome.runtime.sendMessage({ action: 'deleteHaul', haulId: activeHaulId });
+    if (resp?.error) {
+        showToast(resp.error);
+        return;
+    }
+    applyHaulSummary(resp);
+    cart = resp?.cart || [];
+    render();
+    if (deleted) showToast(`Deleted haul "${deleted.name}"`);
+}
+
+function closeHaulMenu() {
+    document.querySelector('.haul-menu')?.remove();
+}
+
+// Popover listing the other hauls with Move / Copy actions for one item
+function openHaulMenu(anchor, itemId) {
+    closeHaulMenu();
+    const targets = hauls.filter(h => h.id !== activeHaulId);
+    if (targets.length === 0) return;
+
+    const menu = document.createElement('div');
+    menu.className = 'haul-menu';
+    menu.innerHTML = `<div class="haul-menu__label">Send to haul</div>` + targets.map(haul => `
+        <div class="haul-menu__row">
+          <span class="haul-menu__name">${escapeHtml(haul.name)}</span>
+          <button class="haul-menu__btn" data-mode="move" data-haul="${escapeHtml(haul.id)}">Move</button>
+          <button class="haul-menu__btn" data-mode="copy" data-haul="${escapeHtml(haul.id)}">Copy</button>
+        </div>
+    `).join('');
+    document.body.appendChild(menu);
+
+    // Align under the anchor, clamped to the popup width
+    const rect = anchor.getBoundingClientRect();
+    const left = Math.min(rect.right - menu.offsetWidth, document.body.clientWidth - menu.offsetWidth - 8);
+    menu.style.left = `${Math.max(8, left)}px`;
+    menu.style.top = `${rect.bottom + 4}px`;
+
+    menu.querySelectorAll('.haul-menu__btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const mode = btn.dataset.mode;
+            const target = hauls.find(h => h.id === btn.dataset.haul);
+            closeHaulMenu();
+            const resp = await chrome.runtime.sendMessage({
+                action: 'transferItems',
+                itemIds: [itemId],
+                targetHaulId: btn.dataset.haul,
+                mode
+            });
+            applyHaulSummary(resp);
+            cart = resp?.cart || [];
+            render();
+            if (target) showToast(`${mode === 'copy' ? 'Copied' : 'Moved'} to "${target.name}"`);
+        });
+    });
+
+    setTimeout(() => {
+        document.addEventListener('click', closeHaulMenu, { once: true });
+    }, 0);
+}
+
+// ── Order History ────────────────────────────────────────────
+let orders = [];
+let historyOpen = false;
+
+const AGENT_NAMES = { superbuy: 'Superbuy', kakobuy: 'KakoBuy', sugargoo: 'Sugargoo', raw: 'Raw Link' };
+const OUTCOME_LABELS = { added: 'Added', opened: 'Opened', uncertain: 'Uncertain' };
+
+async function toggleHistoryView() {
+    historyOpen = !historyOpen;
+    document.getElementById('historyBtn').classList.toggle('btn--active', historyOpen);
+    document.getElementById('historyView').style.display = historyOpen ? 'block' : 'none';
+    document.getElementById('cartContent').style.display = historyOpen ? 'none' : '';
+    document.getElementById('haulBar').style.display = historyOpen ? 'none' : '';
+
+    if (historyOpen) {
+        document.getElementById('footer').style.display = 'none';
+        const resp = await chrome.runtime.sendMessage({ action: 'getOrders' });
+        orders = resp?.orders || [];
+        renderHistory();
+        document.getElementById('historySearch').focus();
+    } else {
+        render();
+    }
+}
+
+function orderMatches(order, query) {
+    if (!query) return true;
+    const agentName = AGENT_NAMES[order.agent] || order.agent;
+    const haystack = [agentName, order.haulName, new Date(order.createdAt).toLocaleDateString()]
+        .concat(order.items.flatMap(i => [i.title, i.cleanedTitle, i.vendor, formatVariant(i)]))
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+    return haystack.includes(query);
+}
+
+function renderHistory() {
+    const query = document.getElementById('historySearch').value.trim().toLowerCase();
+    const listEl = document.getElementById('historyList');
+    const emptyEl = document.getElementById('historyEmpty');
+    const visible = orders.filter(o => orderMatches(o, query));
+
+    emptyEl.style.display = visible.length === 0 ? 'block' : 'none';
+    emptyEl.textContent = orders.length === 0 ? 'No past orders yet' : 'No orders match your search';
+
+    listEl.innerHTML = visible.map(order => {
+        const date = new Date(order.createdAt);
+        const agentName = AGENT_NAMES[order.agent] || order.agent;
+        const rateLabel = order.rate
+            ? `¥1 = ${currencySymbol(order.rate.target)}${order.rate.rate.toFixed(4)}`
+            : 'No rate';
+        const converted = order.rate
+            ? ` ≈ ${currencySymbol(order.rate.target)}${(order.totalCny * order.rate.rate).toFixed(2)}`
+            : '';
+
+        const itemsHtml = order.items.map(item => `
+            <div class="history-item">
+              <div class="history-item__info">
+                <span class="history-item__title" title="${escapeHtml(item.cleanedTitle || item.title)}">${escapeHtml(item.cleanedTitle || item.title)}</span>
+                <span class="history-item__meta">${escapeHtml(item.vendor)} · ¥${item.price.toFixed(2)} × ${item.quantity}${formatVariant(item) ? ` · ${escapeHtml(formatVariant(item))}` : ''}</span>
+              </div>
+              ${renderPhotosButton(item, `data-order="${order.id}" data-item="${item.id}"`)}
+              <span class="history-item__outcome history-item__outcome--${escapeHtml(item.outcome)}">${OUTCOME_LABELS[item.outcome] || escapeHtml(item.outcome)}</span>
+              <button class="history-item__readd" data-order="${order.id}" data-item="${item.id}" title="Add back to the active haul">Re-add</button>
+            </div>
+        `).join('');
+
+        return `
+        <div class="history-order${query ? ' history-order--open' : ''}" data-order="${order.id}">
+          <div class="history-order__header">
+            <div class="history-order__summary">
+              <span class="history-order__title">${escapeHtml(agentName)} · ${escapeHtml(order.haulName || '')}</span>
+              <span class="history-order__meta">${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} · ${rateLabel}</span>
+            </div>
+            <div class="history-order__total">
+              <span>¥${order.totalCny.toFixed(2)}</span>
+              <span class="history-order__converted">${converted}</span>
+            </div>
+          </div>
+          <div class="history-order__items">
+            ${itemsHtml}
+            <button class="history-order__delete" data-order="${order.id}">Delete order</button>
+          </div>
+        </div>
+        `;
+    }).join('');
+
+    listEl.querySelectorAll('.history-order__header').forEach(header => {
+        header.addEventListener('click', () => {
+            header.parentElement.classList.toggle('history-order--open');
+        });
+    });
+
+    // QC usually happens after ordering, so archived lines keep their photos
+    listEl.querySelectorAll('.history-item .photos-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const item = orders.find(o => o.id === btn.dataset.order)?.items.find(i => i.id === btn.dataset.item);
+            if (item) openPhotoGallery(item.photos, item.cleanedTitle || item.title);
+        });
+    });
+
+    listEl.querySelectorAll('.history-item__readd').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const resp = await chrome.runtime.sendMessage({
+                action: 'reAddOrderItem',
+                orderId: btn.dataset.order,
+                itemId: btn.dataset.item
+            });
+            if (!resp?.success) {
+                showToast(resp?.error || 'Could not re-add item');
+                return;
+            }
+            cart = resp.cart || [];
+            const haul = hauls.find(h => h.id === activeHaulId);
+            showToast(`Added back to "${haul?.name || 'cart'}"`);
+        });
+    });
+
+    listEl.querySelectorAll('.history-order__delete').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const resp = await chrome.runtime.sendMessage({ action: 'deleteOrder', orderId: btn.dataset.order });
+            orders = resp?.orders || [];
+            renderHistory();
+        });
+    });
+}
+
 // ── Update Notification ──────────────────────────────────────
 async function checkAndShowUpdateNotification() {
     const resp = await chrome.runtime.sendMessage({ action: 'getUpdateInfo' });
@@ -151,10 +558,16 @@ function render() {
 
     const totalItems = cart.reduce((s, i) => s + i.quantity, 0);
     itemCount.textContent = `${totalItems} item${totalItems !== 1 ? 's' : ''}`;
+    renderHaulBar();
+    renderAiRetry();
+    closeHaulMenu();
+    if (historyOpen) return;
 
+    const groupToggle = document.getElementById('groupToggle');
     if (cart.length === 0) {
         emptyState.style.display = 'flex';
         vendorGroupsEl.innerHTML = '';
+        groupToggle.style.display = 'none';
         footer.style.display = 'none';
         return;
     }
@@ -162,7 +575,7 @@ function render() {
     emptyState.style.display = 'none';
     footer.style.display = 'block';
 
-    // Group by vendor
+    // Group by vendor (also what domestic shipping is counted on)
     const groups = {};
     for (const item of cart) {
         const vendor = item.vendor || 'Unknown';
@@ -170,18 +583,24 @@ function render() {
         groups[vendor].push(item);
     }
 
+    const groupBy = settings.groupBy || 'vendor';
+    const byVendor = groupBy === 'vendor';
+    groupToggle.style.display = '';
+    groupToggle.querySelectorAll('[data-group-by]').forEach(btn => {
+        btn.classList.toggle('group-toggle__btn--active', btn.dataset.groupBy === groupBy);
+    });
+
     let html = '';
-    let grandTotal = 0;
 
-    for (const [vendor, items] of Object.entries(groups)) {
+    for (const [name, items] of byVendor ? Object.entries(groups) : groupCartBy(groupBy)) {
         const vendorSubtotal = items.reduce((s, i) => s + i.price * i.quantity, 0);
-        grandTotal += vendorSubtotal;
 
         html += `<div class="vendor-group">`;
         html += `<div class="vendor-group__header">`;
-        html += `<span class="vendor-group__name">${escapeHtml(vendor)}</span>`;
+        html += `<span class="vendor-group__name">${escapeHtml(name)}${byVendor ? renderVendorBadges(name) : ''}</span>`;
         html += `<span class="vendor-group__item-count">${items.length} item${items.length !== 1 ? 's' : ''}</span>`;
         html += `</div>`;
+        if (byVendor) html += renderVendorNote(name);
         html += `<div class="vendor-group__items">`;
 
         for (const item of items) {
@@ -189,8 +608,10 @@ function render() {
         }
 
         html += `</div>`;
+        // Domestic shipping is per seller, so it only belongs on vendor subtotals
+        const shipping = byVendor ? settings.costProfiles?.[settings.selectedAgent || 'superbuy']?.domesticShipping || 0 : 0;
         html += `<div class="vendor-group__subtotal">`;
-        html += `<span>Subtotal</span>`;
+        html += `<span>Subtotal${shipping ? ` <span class="vendor-group__shipping">+ ¥${shipping} domestic shipping</span>` : ''}</span>`;
         html += `<span class="vendor-group__subtotal-value">¥${vendorSubtotal.toFixed(2)}</span>`;
         html += `</div>`;
         html += `</div>`;
@@ -198,13 +619,14 @@ function render() {
 
     vendorGroupsEl.innerHTML = html;
 
-    // Totals
-    document.getElementById('totalCNY').textContent = `¥${grandTotal.toFixed(2)}`;
-    document.getElementById('totalConverted').textContent = formatConverted(grandTotal);
+    // Totals: estimated landed cost, broken down
+    const cost = computeLandedCost(groups);
+    renderCostBreakdown(cost);
+    document.getElementById('totalCNY').textContent = `¥${cost.total.toFixed(2)}`;
+    document.getElementById('totalConverted').textContent = formatConverted(cost.total);
 
     // Update checkout button text with agent name
-    const agentNames = { superbuy: 'Superbuy', kakobuy: 'KakoBuy', sugargoo: 'Sugargoo', raw: 'Raw Link' };
-    const agentName = agentNames[settings.selectedAgent || 'superbuy'] || 'Agent';
+    const agentName = AGENT_NAMES[settings.selectedAgent || 'superbuy'] || 'Agent';
     document.getElementById('checkoutBtnText').textContent = `Checkout to ${agentName}`;
 
     // Bind events
@@ -222,6 +644,120 @@ function render() {
             img.replaceWith(placeholder);
         });
     });
+    observeLazyThumbs();
+}
+
+// ── Grouping ─────────────────────────────────────────────────
+// Besides vendor, the cart can be grouped by category (from AI categorization,
+// else guessed from the title) or by the brand AI categorization found.
+const CATEGORY_LABELS = {
+    shoes: 'Shoes', outerwear: 'Jackets & coats', hoodie: 'Hoodies & knits', pants: 'Pants & shorts',
+    tshirt: 'T-shirts & shirts', bag: 'Bags', accessory: 'Accessories', other: 'Other'
+};
+
+// → [[label, items]]: categories in the options page's order, brands A–Z with unknown last
+function groupCartBy(groupBy) {
+    const groups = new Map();
+    for (const item of cart) {
+        const key = groupBy === 'category' ? guessCategory(item) : (item.brand || '').toLowerCase();
+        if (!groups.has(key)) groups.set(key, { label: '', items: [] });
+        const group = groups.get(key);
+        group.label ||= groupBy === 'category' ? CATEGORY_LABELS[key] || key : item.brand || 'Unknown brand';
+        group.items.push(item);
+    }
+
+    const keys = groupBy === 'category'
+        ? Object.keys(CATEGORY_LABELS).filter(key => groups.has(key))
+        : [...groups.keys()].sort((a, b) => !a - !b || a.localeCompare(b));
+    return keys.map(key => [groups.get(key).label, groups.get(key).items]);
+}
+
+function handleGroupToggle(e) {
+    const btn = e.target.closest('[data-group-by]');
+    if (!btn || btn.dataset.groupBy === (settings.groupBy || 'vendor')) return;
+    settings.groupBy = btn.dataset.groupBy;
+    render();
+    chrome.runtime.sendMessage({ action: 'setGroupBy', groupBy: settings.groupBy });
+}
+
+// Vendor and brand under the title when the grouping doesn't already show them
+function renderItemTags(item) {
+    const groupBy = settings.groupBy || 'vendor';
+    const tags = [];
+    if (item.brand && groupBy !== 'brand') tags.push(item.brand);
+    if (groupBy !== 'vendor') tags.push(item.vendor || 'Unknown');
+    return tags.length ? `<div class="cart-item__tags">${tags.map(escapeHtml).join(' · ')}</div>` : '';
+}
+
+// ── Thumbnails (IndexedDB image store) ───────────────────────
+// Same DB the background writes to; the popup only reads it.
+let imageDbPromise = null;
+const imageUrlCache = new Map(); // imageId -> object URL
+let thumbObserver = null;
+
+function openImageDb() {
+    if (!imageDbPromise) {
+        imageDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(IMAGE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(IMAGE_STORE)) {
+                    db.createObjectStore(IMAGE_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                imageDbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return imageDbPromise;
+}
+
+async function loadImageBlob(imageId) {
+    try {
+        const db = await openImageDb();
+        return await new Promise((resolve) => {
+            const request = db.transaction(IMAGE_STORE, 'readonly').objectStore(IMAGE_STORE).get(imageId);
+            request.onsuccess = () => resolve(request.result?.blob || null);
+            request.onerror = () => resolve(null);
+        });
+    } catch {
+        return null;
+    }
+}
+
+async function getImageObjectUrl(imageId) {
+    if (imageUrlCache.has(imageId)) return imageUrlCache.get(imageId);
+    const blob = await loadImageBlob(imageId);
+    const url = blob ? URL.createObjectURL(blob) : '';
+    if (url) imageUrlCache.set(imageId, url);
+    return url;
+}
+
+async function loadLazyThumb(img) {
+    const url = await getImageObjectUrl(img.dataset.imageId);
+    if (url) {
+        img.src = url;
+    } else if (img.dataset.fallback) {
+        img.src = img.dataset.fallback;
+    } else {
+        img.dispatchEvent(new Event('error'));
+    }
+}
+
+// Stored thumbnails load only once they scroll into view
+function observeLazyThumbs() {
+    if (thumbObserver) thumbObserver.disconnect();
+    thumbObserver = new IntersectionObserver((entries) => {
+        for (const entry of entries) {
+            if (!entry.isIntersecting) continue;
+            thumbObserver.unobserve(entry.target);
+            loadLazyThumb(entry.target);
+        }
+    }, { rootMargin: '120px' });
+    document.querySelectorAll('img[data-image-id]').forEach(img => thumbObserver.observe(img));
 }
 
 function isValidThumbnail(url) {
@@ -231,11 +767,103 @@ function isValidThumbnail(url) {
     return true;
 }
 
+// ── Photo gallery ────────────────────────────────────────────
+// Album photos saved with a line (item.photos: [{ url, imageId? }]), for
+// checking agent QC photos. Stored copies load from IndexedDB; evicted or
+// never-stored ones fall back to the remote URL.
+let photoGalleryKeyHandler = null;
+
+function renderPhotosButton(item, attrs) {
+    const count = item.photos?.length;
+    if (!count) return '';
+    return `<button class="photos-btn" ${attrs} title="View ${count} saved album photo${count === 1 ? '' : 's'}">📷 ${count}</button>`;
+}
+
+async function photoSrc(photo) {
+    return (photo.imageId && await getImageObjectUrl(photo.imageId)) || photo.url || '';
+}
+
+function openPhotoGallery(photos, title) {
+    closePhotoGallery();
+    if (!photos?.length) return;
+
+    const gallery = document.createElement('div');
+    gallery.className = 'photo-gallery';
+    gallery.innerHTML = `
+        <div class="photo-gallery__header">
+          <span class="photo-gallery__title"></span>
+          <span class="photo-gallery__count"></span>
+          <a class="photo-gallery__original" target="_blank" title="Open the album original">↗</a>
+          <button class="photo-gallery__close" title="Close (Esc)">✕</button>
+        </div>
+        <div class="photo-gallery__stage">
+          <button class="photo-gallery__nav" data-step="-1" title="Previous (←)">‹</button>
+          <img class="photo-gallery__image" alt="" referrerpolicy="no-referrer">
+          <button class="photo-gallery__nav" data-step="1" title="Next (→)">›</button>
+        </div>
+        <div class="photo-gallery__strip">
+          ${photos.map((_, i) => `<img class="photo-gallery__thumb" data-index="${i}" alt="" referrerpolicy="no-referrer">`).join('')}
+        </div>
+    `;
+    gallery.querySelector('.photo-gallery__title').textContent = title || '';
+    document.body.appendChild(gallery);
+    document.body.classList.add('photo-gallery-open');
+
+    const image = gallery.querySelector('.photo-gallery__image');
+    const original = gallery.querySelector('.photo-gallery__original');
+    const thumbs = gallery.querySelectorAll('.photo-gallery__thumb');
+    let index = 0;
+
+    const show = async (next) => {
+        index = (next + photos.length) % photos.length;
+        const shown = index;
+        gallery.querySelector('.photo-gallery__count').textContent = `${index + 1} / ${photos.length}`;
+        thumbs.forEach((thumb, i) => thumb.classList.toggle('photo-gallery__thumb--active', i === index));
+        thumbs[index].scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        original.hidden = !photos[index].url;
+        if (photos[index].url) original.href = photos[index].url;
+        const src = await photoSrc(photos[index]);
+        if (shown === index) image.src = src;
+    };
+
+    thumbs.forEach(async (thumb, i) => {
+        thumb.addEventListener('click', () => show(i));
+        thumb.src = await photoSrc(photos[i]);
+    });
+    gallery.querySelectorAll('.photo-gallery__nav').forEach(btn => {
+        btn.addEventListener('click', () => show(index + Number(btn.dataset.step)));
+    });
+    gallery.querySelector('.photo-gallery__close').addEventListener('click', closePhotoGallery);
+
+    photoGalleryKeyHandler = (e) => {
+        if (e.key === 'Escape') closePhotoGallery();
+        else if (e.key === 'ArrowLeft') show(index - 1);
+        else if (e.key === 'ArrowRight') show(index + 1);
+        else return;
+        e.preventDefault();
+    };
+    document.addEventListener('keydown', photoGalleryKeyHandler);
+    show(0);
+}
+
+function closePhotoGallery() {
+    document.querySelector('.photo-gallery')?.remove();
+    document.body.classList.remove('photo-gallery-open');
+    if (photoGalleryKeyHandler) {
+        document.removeEventListener('keydown', photoGalleryKeyHandler);
+        photoGalleryKeyHandler = null;
+    }
+}
+
 function renderItem(item) {
     const hasThumb = isValidThumbnail(item.thumbnail);
-    const thumbHtml = hasThumb
-        ? `<img class="cart-item__thumb" src="${escapeHtml(item.thumbnail)}" alt="" loading="lazy" referrerpolicy="no-referrer">`
-        : `<div class="cart-item__thumb--placeholder">📦</div>`;
+    let thumbHtml = `<div class="cart-item__thumb--placeholder">📦</div>`;
+    if (item.imageId) {
+        const fallback = hasThumb ? ` data-fallback="${escapeHtml(item.thumbnail)}"` : '';
+        thumbHtml = `<img class="cart-item__thumb" data-image-id="${escapeHtml(item.imageId)}"${fallback} alt="" referrerpolicy="no-referrer">`;
+    } else if (hasThumb) {
+        thumbHtml = `<img class="cart-item__thumb" src="${escapeHtml(item.thumbnail)}" alt="" loading="lazy" referrerpolicy="no-referrer">`;
+    }
 
     const convertedStr = formatConverted(item.price * item.quantity);
     const isCleaned = item.cleanedTitle && item.cleanedTitle !== item.title;
@@ -245,18 +873,32 @@ function renderItem(item) {
     <div class="cart-item" data-id="${item.id}">
       ${thumbHtml}
       <div class="cart-item__info">
-        <div class="cart-item__title">
-          <span class="cart-item__title-inner">${item.url ? `<a href="${escapeHtml(item.url)}" target="_blank" title="${escapeHtml(displayTitle)}">${escapeHtml(displayTitle)}</a>` : escapeHtml(displayTitle)}</span>
+        <div class="cart-item__title" data-action="edit-title" data-id="${item.id}" title="${escapeHtml(displayTitle)}\nClick to edit the name">
+          <span class="cart-item__title-inner">${item.url ? `<a href="${escapeHtml(item.url)}" target="_blank">${escapeHtml(displayTitle)}</a>` : escapeHtml(displayTitle)}</span>
         </div>
+        ${renderItemTags(item)}
         <div class="cart-item__price">
           ¥${item.price.toFixed(2)} × ${item.quantity}
+          ${item.priceLabel ? `<span class="cart-item__price-label" title="Price option picked when added">${escapeHtml(item.priceLabel)}</span>` : ''}
           ${convertedStr ? `<span class="cart-item__price-converted">${convertedStr}</span>` : ''}
+          ${renderPriceChange(item)}
+          ${renderWeight(item)}
+          ${renderPhotosButton(item, `data-action="open-photos" data-id="${item.id}"`)}
         </div>
+        ${renderVariant(item)}
       </div>
       <div class="cart-item__controls">
         <button class="qty-btn" data-action="decrement" data-id="${item.id}" style="${item.quantity <= 1 ? 'display:none' : ''}">−</button>
         <span class="qty-value">${item.quantity}</span>
         <button class="qty-btn" data-action="increment" data-id="${item.id}">+</button>
+        ${hauls.length > 1 ? `<button class="transfer-btn" data-action="transfer" data-id="${item.id}" title="Move or copy to another haul">
+          <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <polyline points="17 1 21 5 17 9"></polyline>
+            <path d="M3 11V9a4 4 0 0 1 4-4h14"></path>
+            <polyline points="7 23 3 19 7 15"></polyline>
+            <path d="M21 13v2a4 4 0 0 1-4 4H3"></path>
+          </svg>
+        </button>` : ''}
         <button class="remove-btn" data-action="remove" data-id="${item.id}" title="Remove">
           <svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <line x1="18" y1="6" x2="6" y2="18"></line>
@@ -268,16 +910,306 @@ function renderItem(item) {
   `;
 }
 
+// Marker set by the background price watch; clicking it acknowledges the change
+function renderPriceChange(item) {
+    const change = item.priceChange;
+    if (!change) return '';
+    const up = change.to > change.from;
+    const history = (item.priceHistory || [])
+        .map(h => `¥${h.price} · ${new Date(h.at).toLocaleDateString()}`)
+        .join('\n');
+    const title = `Price changed from ¥${change.from} to ¥${change.to}${history ? `\n\nHistory:\n${history}` : ''}\n\nClick to dismiss`;
+    return `<button class="cart-item__price-change cart-item__price-change--${up ? 'up' : 'down'}" data-action="dismiss-price" data-id="${item.id}" title="${escapeHtml(title)}">${up ? '▲' : '▼'} was ¥${change.from}</button>`;
+}
+
+// ── Landed Cost ──────────────────────────────────────────────
+// Weight comes from the line (entered by hand) or from settings.categoryWeights
+// for a category guessed from the title. Categories match the options page.
+const CATEGORY_KEYWORDS = [
+    ['shoes', /shoe|sneaker|trainer|dunk|jordan|\baj\s?\d|yeezy|boot|slide|sandal|loafer|鞋/i],
+    ['outerwear', /jacket|coat|puffer|parka|windbreaker|vest|外套|夹克|羽绒|大衣/i],
+    ['hoodie', /hoodie|sweater|sweatshirt|crewneck|knit|cardigan|fleece|卫衣|毛衣|针织/i],
+    ['pants', /pants|jeans|trousers|shorts|joggers|cargo|sweatpants|裤/i],
+    ['tshirt', /t-?shirt|\btee\b|polo|shirt|jersey|tank|短袖|T恤|衬衫/i],
+    ['bag', /\bbag|backpack|wallet|purse|tote|duffle|包/i],
+    ['accessory', /belt|\bcap\b|hat|beanie|scarf|glove|socks?\b|necklace|bracelet|ring\b|earring|watch|glasses|帽|袜|项链|手链|戒指|眼镜|手表/i]
+];
+
+function guessCategory(item) {
+    if (item.category && settings.categoryWeights?.[item.category] !== undefined) return item.category;
+    const text = `${item.cleanedTitle || ''} ${item.title}`;
+    return CATEGORY_KEYWORDS.find(([, re]) => re.test(text))?.[0] || 'other';
+}
+
+// → { grams, estimated } for one unit of the line
+function itemWeight(item) {
+    if (item.weight > 0) return { grams: item.weight, estimated: false };
+    return { grams: settings.categoryWeights?.[guessCategory(item)] || 0, estimated: true };
+}
+
+function formatWeight(grams) {
+    return grams >= 1000 ? `${(grams / 1000).toFixed(1)} kg` : `${Math.round(grams)} g`;
+}
+
+function renderWeight(item) {
+    const { grams, estimated } = itemWeight(item);
+    const title = estimated
+        ? `Estimated for ${guessCategory(item)} — click to enter the real weight`
+        : 'Weight entered by hand — click to change';
+    return `<button class="cart-item__weight${estimated ? ' cart-item__weight--estimated' : ''}" data-action="edit-weight" data-id="${item.id}" title="${escapeHtml(title)}">${estimated ? '~' : ''}${formatWeight(grams * item.quantity)}</button>`;
+}
+
+// Goods + per-seller domestic shipping + international by weight + fees,
+// using the cost profile of the selected agent
+function computeLandedCost(groups) {
+    const profile = settings.costProfiles?.[settings.selectedAgent || 'superbuy'] || {};
+    const goods = cart.reduce((s, i) => s + i.price * i.quantity, 0);
+    const grams = cart.reduce((s, i) => s + itemWeight(i).grams * i.quantity, 0);
+    const sellers = Object.keys(groups).length;
+    const domestic = sellers * (profile.domesticShipping || 0);
+    const international = grams > 0
+        ? (profile.intlShippingBase || 0) + (grams / 1000) * (profile.intlShippingPerKg || 0)
+        : 0;
+    const serviceFee = goods * (profile.serviceFeePercent || 0) / 100;
+    const paymentFee = (goods + domestic + international + serviceFee) * (profile.paymentFeePercent || 0) / 100;
+    return {
+        goods,
+        domestic,
+        domesticPerSeller: profile.domesticShipping || 0,
+        sellers,
+        grams,
+        estimatedWeight: cart.some(i => itemWeight(i).estimated),
+        international,
+        fees: serviceFee + paymentFee,
+        serviceFee,
+        paymentFee,
+        total: goods + domestic + international + serviceFee + paymentFee
+    };
+}
+
+function renderCostBreakdown(cost) {
+    const row = (label, cny, title = '') => `
+      <div class="totals__row"${title ? ` title="${escapeHtml(title)}"` : ''}>
+        <span>${label}</span>
+        <span>¥${cny.toFixed(2)}</span>
+      </div>`;
+    document.getElementById('costBreakdown').innerHTML =
+        row('Goods', cost.goods) +
+        row(`Domestic shipping (${cost.sellers} seller${cost.sellers !== 1 ? 's' : ''})`, cost.domestic,
+            `¥${cost.domesticPerSeller} per seller`) +
+        row(`International (${cost.estimatedWeight ? '~' : ''}${formatWeight(cost.grams)})`, cost.international,
+            cost.estimatedWeight ? 'Some weights are estimated from the item category' : '') +
+        row('Fees', cost.fees, `Service ¥${cost.serviceFee.toFixed(2)} · Payment ¥${cost.paymentFee.toFixed(2)}`);
+}
+
+function openWeightEditor(itemId) {
+    document.querySelector('.variant-editor')?.remove();
+    const item = cart.find(i => i.id === itemId);
+    const info = document.querySelector(`.cart-item[data-id="${itemId}"] .cart-item__info`);
+    if (!item || !info) return;
+
+    const { grams, estimated } = itemWeight(item);
+    const editor = document.createElement('div');
+    editor.className = 'variant-editor';
+    editor.innerHTML = `
+        <input class="variant-editor__input" type="number" min="0" step="10" placeholder="Weight per item in grams (estimate: ${grams} g)" value="${estimated ? '' : grams}">
+        <div class="variant-editor__actions">
+          ${estimated ? '' : '<button class="variant-editor__btn" data-editor-action="reset">Use estimate</button>'}
+          <button class="variant-editor__btn" data-editor-action="cancel">Cancel</button>
+          <button class="variant-editor__btn variant-editor__btn--primary" data-editor-action="save">Save</button>
+        </div>
+    `;
+    info.appendChild(editor);
+    const input = editor.querySelector('input');
+    input.focus();
+
+    const save = async (weight) => {
+        const resp = await chrome.runtime.sendMessage({ action: 'updateItemWeight', itemId, weight });
+        cart = resp?.cart || [];
+        render();
+    };
+
+    editor.querySelector('[data-editor-action="save"]').addEventListener('click', () => save(parseFloat(input.value) || null));
+    editor.querySelector('[data-editor-action="reset"]')?.addEventListener('click', () => save(null));
+    editor.querySelector('[data-editor-action="cancel"]').addEventListener('click', () => editor.remove());
+    editor.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            save(parseFloat(input.value) || null);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            editor.remove();
+        }
+    });
+}
+
+// The shown name, with the original and every earlier name (titleHistory) to pick from
+function openTitleEditor(itemId) {
+    document.querySelector('.variant-editor')?.remove();
+    const item = cart.find(i => i.id === itemId);
+    const info = document.querySelector(`.cart-item[data-id="${itemId}"] .cart-item__info`);
+    if (!item || !info) return;
+
+    const current = item.cleanedTitle || item.title;
+    const history = [{ title: item.title, label: 'Original' }].concat((item.titleHistory || []).map(entry => ({
+        title: entry.title,
+        label: `${entry.source === 'manual' ? 'Edited' : 'AI'} · ${new Date(entry.at).toLocaleDateString()}`
+    })));
+    const editor = document.createElement('div');
+    editor.className = 'variant-editor';
+    editor.innerHTML = `
+        <input class="variant-editor__input" type="text" maxlength="200" placeholder="Name" value="${escapeHtml(current)}">
+        <div class="title-history">
+          ${history.map(entry => `
+          <button class="title-history__entry${entry.title === current ? ' title-history__entry--current' : ''}" data-title="${escapeHtml(entry.title)}" title="Use this name">
+            <span class="title-history__label">${entry.label}</span>${escapeHtml(entry.title)}
+          </button>`).join('')}
+        </div>
+        <div class="variant-editor__actions">
+          ${item.url ? `<a class="variant-editor__btn" href="${escapeHtml(item.url)}" target="_blank">Open album</a>` : ''}
+          ${item.cleanedTitle ? '<button class="variant-editor__btn" data-editor-action="reset">Reset to original</button>' : ''}
+          <button class="variant-editor__btn" data-editor-action="cancel">Cancel</button>
+          <button class="variant-editor__btn variant-editor__btn--primary" data-editor-action="save">Save</button>
+        </div>
+    `;
+    info.appendChild(editor);
+    const input = editor.querySelector('input');
+    input.focus();
+    input.select();
+
+    const reset = async () => {
+        const resp = await chrome.runtime.sendMessage({ action: 'resetItemTitle', itemId });
+        cart = resp?.cart || [];
+        render();
+        showUndoToast('Name reset to original');
+    };
+
+    // Saving the original (or nothing) is the same as a reset
+    const save = async () => {
+        const title = input.value.trim();
+        if (title === current) {
+            editor.remove();
+        } else if (!title || title === item.title) {
+            await reset();
+        } else {
+            const resp = await chrome.runtime.sendMessage({ action: 'updateItemTitle', itemId, cleanedTitle: title });
+            cart = resp?.cart || [];
+            render();
+        }
+    };
+
+    editor.querySelectorAll('.title-history__entry').forEach(btn => {
+        btn.addEventListener('click', () => {
+            input.value = btn.dataset.title;
+            input.focus();
+        });
+    });
+    editor.querySelector('[data-editor-action="save"]').addEventListener('click', save);
+    editor.querySelector('[data-editor-action="reset"]')?.addEventListener('click', reset);
+    editor.querySelector('[data-editor-action="cancel"]').addEventListener('click', () => editor.remove());
+    editor.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            save();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            editor.remove();
+        }
+    });
+}
+
+function formatVariant(item) {
+    const parts = [];
+    if (item.size) parts.push(`Size ${item.size}`);
+    if (item.color) parts.push(item.color);
+    if (item.note) parts.push(item.note);
+    return parts.join(' · ');
+}
+
+function renderVariant(item) {
+    const summary = formatVariant(item);
+    const label = summary
+        ? `<span class="cart-item__variant-text" title="${escapeHtml(summary)}">${escapeHtml(summary)}</span>`
+        : `<span class="cart-item__variant-text cart-item__variant-text--empty">+ size / color / note</span>`;
+    return `<button class="cart-item__variant" data-action="edit-variant" data-id="${item.id}" title="Edit size, color and note">${label}</button>`;
+}
+
+function openVariantEditor(itemId) {
+    document.querySelector('.variant-editor')?.remove();
+    const item = cart.find(i => i.id === itemId);
+    const info = document.querySelector(`.cart-item[data-id="${itemId}"] .cart-item__info`);
+    if (!item || !info) return;
+
+    const editor = document.createElement('div');
+    editor.className = 'variant-editor';
+    editor.innerHTML = `
+        <div class="variant-editor__row">
+          <input class="variant-editor__input" data-field="size" type="text" maxlength="20" placeholder="Size" value="${escapeHtml(item.size || '')}">
+          <input class="variant-editor__input" data-field="color" type="text" maxlength="30" placeholder="Color" value="${escapeHtml(item.color || '')}">
+        </div>
+        <input class="variant-editor__input" data-field="note" type="text" maxlength="120" placeholder="Note" value="${escapeHtml(item.note || '')}">
+        <div class="variant-editor__actions">
+          <button class="variant-editor__btn" data-editor-action="cancel">Cancel</button>
+          <button class="variant-editor__btn variant-editor__btn--primary" data-editor-action="save">Save</button>
+        </div>
+    `;
+    info.appendChild(editor);
+    editor.querySelector('input').focus();
+
+    const save = async () => {
+        const variant = {};
+        editor.querySelectorAll('input').forEach(input => {
+            variant[input.dataset.field] = input.value.trim();
+        });
+        const resp = await chrome.runtime.sendMessage({ action: 'updateItemVariant', itemId, variant });
+        cart = resp?.cart || [];
+        render();
+    };
+
+    editor.querySelector('[data-editor-action="save"]').addEventListener('click', save);
+    editor.querySelector('[data-editor-action="cancel"]').addEventListener('click', () => editor.remove());
+    editor.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            save();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            editor.remove();
+        }
+    });
+}
+
 function bindItemEvents() {
-    document.querySelectorAll('.qty-btn, .remove-btn').forEach(btn => {
+    document.querySelectorAll('.qty-btn, .remove-btn, .transfer-btn, .cart-item__title, .cart-item__variant, .cart-item__price-change, .cart-item__weight, .cart-item .photos-btn').forEach(btn => {
         btn.addEventListener('click', async (e) => {
             const id = btn.dataset.id;
             const action = btn.dataset.action;
 
-            if (action === 'remove') {
+            if (action === 'edit-title') {
+                if (e.ctrlKey || e.metaKey || e.shiftKey) return; // opens the album link as before
+                e.preventDefault();
+                openTitleEditor(id);
+            } else if (action === 'transfer') {
+                e.stopPropagation();
+                openHaulMenu(btn, id);
+            } else if (action === 'edit-variant') {
+                openVariantEditor(id);
+            } else if (action === 'edit-weight') {
+                openWeightEditor(id);
+            } else if (action === 'open-photos') {
+                const item = cart.find(i => i.id === id);
+                if (item) openPhotoGallery(item.photos, item.cleanedTitle || item.title);
+            } else if (action === 'dismiss-price') {
+                const resp = await chrome.runtime.sendMessage({ action: 'dismissPriceChanges', itemIds: [id] });
+                cart = resp?.cart || [];
+                render();
+            } else if (action === 'remove') {
+                const removed = cart.find(i => i.id === id);
                 const resp = await chrome.runtime.sendMessage({ action: 'removeFromCart', itemId: id });
                 cart = resp?.cart || [];
                 render();
+                const name = removed ? (removed.cleanedTitle || removed.title) : 'item';
+                showUndoToast(`Removed ${name.length > 28 ? name.slice(0, 28) + '…' : name}`);
             } else if (action === 'increment') {
                 const item = cart.find(i => i.id === id);
                 if (item) {
@@ -298,396 +1230,266 @@ function bindItemEvents() {
 }
 
 // ── Reset Cleaned Names ──────────────────────────────────────
+// Names edited by hand are kept; each item's editor can reset its own
 async function handleResetNames() {
-    const hasCleaned = cart.some(item => item.cleanedTitle);
+    const edited = cart.filter(item => item.manualTitle).length;
+    const hasCleaned = cart.some(item => item.cleanedTitle && !item.manualTitle);
     if (!hasCleaned) {
-        showToast('No cleaned names to reset');
+        showToast(edited ? 'Only edited names left, reset them from the item' : 'No cleaned names to reset');
         return;
     }
     const resp = await chrome.runtime.sendMessage({ action: 'resetCleanedNames' });
     cart = resp?.cart || [];
     render();
-    showToast('Names reset to original');
+    showUndoToast(edited ? `Names reset to original · ${edited} edited kept` : 'Names reset to original');
 }
 
-// ── AI Name Cleaning (Batch) ─────────────────────────────────
-async function handleCleanAll() {
-    if (!aiApiKey) {
-        showToast('Please add your API key in Settings');
-        return;
-    }
+// ── AI Jobs (name cleaning, categorization) ──────────────────
+// The service worker runs the jobs; the popup starts them and follows progress.
+const AI_JOB_KINDS = {
+    clean: { button: 'cleanAllBtn', running: 'Cleaning', doneVerb: 'Cleaned', doneWord: 'cleaned', icon: '★', allDone: 'All items already cleaned' },
+    categorize: { button: 'categorizeBtn', running: 'Categorizing', doneVerb: 'Categorized', doneWord: 'categorized', icon: '🏷', allDone: 'All items already categorized' }
+};
+
+// A custom server may run without a key (local models); hosted providers need one
+function isAiConfigured() {
+    if (aiProvider === 'custom') return !!(aiCustom.baseUrl && aiCustom.model);
+    return !!aiApiKey;
+}
 
-    // Filter to items that haven't been cleaned yet
-    const itemsToClean = cart.filter(item => !item.cleanedTitle);
-    if (itemsToClean.length === 0) {
-        showToast('All items already cleaned');
+async function startAiJob(kind) {
+    if (!isAiConfigured()) {
+        showToast(aiProvider === 'custom' ? 'Please set the server URL and model in Settings' : 'Please add your API key in Settings');
         return;
     }
 
-    let batchItems = itemsToClean;
-    if (aiProvider === 'gemini' && itemsToClean.length > GEMINI_MAX_ITEMS_PER_BATCH) {
-        batchItems = itemsToClean.slice(0, GEMINI_MAX_ITEMS_PER_BATCH);
-        showToast(`Gemini batch limit: cleaning first ${GEMINI_MAX_ITEMS_PER_BATCH} items`);
+    if (cart.every(item => kind === 'clean' ? item.cleanedTitle : item.category)) {
+        showToast(AI_JOB_KINDS[kind].allDone);
+        return;
     }
 
-    const cleanAllBtn = document.getElementById('cleanAllBtn');
-    const loadingBar = document.getElementById('aiLoadingBar');
-    cleanAllBtn.classList.add('btn--star--loading');
-    cleanAllBtn.disabled = true;
-    loadingBar.classList.add('ai-loading-bar--active');
-
-    // Track which IDs we're about to clean
-    const cleaningIds = new Set(batchItems.map(i => i.id));
-
-    // Apply blur loading effect to items being cleaned
-    cleaningIds.forEach(id => {
-        const el = document.querySelector(`.cart-item[data-id="${id}"] .cart-item__title`);
-        if (el) {
-            el.classList.add('cart-item__title--loading');
-        }
-    });
-
-    try {
-        // Build JSON payload with cart info (include thumbnail for Gemini vision)
-        const cartData = batchItems.map(item => ({
-            id: item.id,
-            name: item.title,
-            link: item.url || '',
-            vendor: item.vendor || '',
-            thumbnail: item.thumbnail || '',
-            subtitle: item.subtitle || ''
-        }));
-
-        const results = await callAIBatch(cartData);
-
-        const updates = [];
-        for (const result of results) {
-            if (result.id && result.cleaned_name) {
-                updates.push({
-                    itemId: result.id,
-                    cleanedTitle: result.cleaned_name
-                });
-            }
-        }
-
-        // Persist all updates in one background message.
-        let cleanedCount = 0;
-        if (updates.length > 0) {
-            const updateResp = await chrome.runtime.sendMessage({
-                action: 'updateItemTitlesBatch',
-                updates
-            });
-            cart = updateResp?.cart || [];
-            cleanedCount = updates.length;
-        } else {
-            const cartResp = await chrome.runtime.sendMessage({ action: 'getCart' });
-            cart = cartResp?.cart || [];
-        }
-
-        render();
-
-        // Unblur freshly cleaned items
-        cleaningIds.forEach(id => {
-            const el = document.querySelector(`.cart-item[data-id="${id}"] .cart-item__title`);
-            if (el) {
-                el.classList.remove('cart-item__title--loading');
-                el.classList.add('cart-item__title--unblur');
-                el.addEventListener('animationend', () => {
-                    el.classList.remove('cart-item__title--unblur');
-                }, { once: true });
-            }
-        });
-
-        if (cleanedCount > 0) {
-            showToast(`Cleaned ${cleanedCount} item${cleanedCount !== 1 ? 's' : ''}`);
-        } else {
-            showToast('Failed to clean items');
-        }
-    } catch (err) {
-        console.error('AI batch cleaning failed:', err);
-        showToast('Failed: ' + (err.message || 'Unknown error'));
-    } finally {
-        loadingBar.classList.remove('ai-loading-bar--active');
-        cleanAllBtn.classList.remove('btn--star--loading');
-        cleanAllBtn.disabled = false;
+    // The service worker runs the job, so it keeps going if the popup closes
+    const resp = await chrome.runtime.sendMessage({ action: 'startAiJob', kind, haulId: activeHaulId });
+    if (!resp?.success) {
+        showToast('Failed: ' + (resp?.error || 'Unknown error'));
+        return;
     }
+    showAiJob(resp.job);
 }
 
-function buildBatchPrompt(cartData) {
-    const cartJson = JSON.stringify(cartData, null, 2);
-    return `Here are products from a Yupoo shopping cart:\n\n${cartJson}\n\nRules:\n- Clean each product name to a readable description (5 words max)\n- Remove all codes, model numbers, random characters, and seller jargon\n- Use the link, vendor, and especially the subtitle (which often contains the real product source URL like Weidian or Taobao) as context clues for what the product is\n- If the name is just a code with no real product info, use the subtitle link, vendor name and guess the product type (e.g. "Nike Sneakers", "Designer Bag")\n- Never include codes or numbers in the cleaned name\n\nRespond with ONLY a JSON array, no markdown, no explanation:\n[{"id":"<same id>","cleaned_name":"<cleaned name>"}]`;
+function isAiJobActive(job) {
+    return job?.status === 'queued' || job?.status === 'running';
 }
 
-async function callAIBatch(cartData) {
-    const prompt = buildBatchPrompt(cartData);
-
-    switch (aiProvider) {
-        case 'openrouter':
-            return await callOpenRouterBatch(prompt, cartData);
-        case 'gemini':
-            return await callGeminiBatch(prompt, cartData);
-        case 'openai':
-        default:
-            return await callOpenAIBatch(prompt, cartData);
-    }
+function findActiveHaulJob(jobs) {
+    return jobs.find(j => AI_JOB_KINDS[j.kind] && j.haulId === activeHaulId && isAiJobActive(j));
 }
 
-function parseAIJsonResponse(text) {
-    // Strip markdown code fences if present
-    text = text.replace(/```(?:json)?\s*/gi, '').replace(/```\s*/g, '');
-
-    // Find the JSON array by matching balanced brackets
-    const start = text.indexOf('[');
-    if (start === -1) throw new Error('No JSON array in AI response');
-
-    let depth = 0;
-    let end = -1;
-    for (let i = start; i < text.length; i++) {
-        if (text[i] === '[') depth++;
-        else if (text[i] === ']') {
-            depth--;
-            if (depth === 0) { end = i + 1; break; }
-        }
-    }
-    if (end === -1) throw new Error('Malformed JSON array in AI response');
-
-    const jsonStr = text.substring(start, end);
-
-    try {
-        const parsed = JSON.parse(jsonStr);
-        if (!Array.isArray(parsed)) throw new Error('Response is not an array');
-        // Sanitize each result - ensure cleaned_name is a plain string, max 5 words
-        return parsed.map(item => ({
-            id: String(item.id || ''),
-            cleaned_name: String(item.cleaned_name || '').replace(/[<>"'&]/g, '').trim()
-        })).filter(item => item.id && item.cleaned_name);
-    } catch (e) {
-        // Try to fix common JSON issues: trailing commas, single quotes
-        const fixed = jsonStr
-            .replace(/,\s*([}\]])/g, '$1')    // trailing commas
-            .replace(/'/g, '"');                // single quotes
-        const parsed = JSON.parse(fixed);
-        if (!Array.isArray(parsed)) throw new Error('Response is not an array');
-        return parsed.map(item => ({
-            id: String(item.id || ''),
-            cleaned_name: String(item.cleaned_name || '').replace(/[<>"'&]/g, '').trim()
-        })).filter(item => item.id && item.cleaned_name);
-    }
-}
-
-async function callOpenAIBatch(prompt, cartData) {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${aiApiKey}`
-        },
-        body: JSON.stringify({
-            model: 'gpt-3.5-turbo',
-            messages: [
-                { role: 'system', content: 'You clean up messy e-commerce product names. You always respond with valid JSON only.' },
-                { role: 'user', content: prompt }
-            ],
-            max_tokens: 2000,
-            temperature: 0.1
-        })
-    });
-
-    if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        throw new Error(error.error?.message || `HTTP ${response.status}`);
-    }
-
-    const data = await response.json();
-    const text = data.choices?.[0]?.message?.content?.trim();
-    if (!text) throw new Error('No response from AI');
-    return parseAIJsonResponse(text);
-}
-
-async function callOpenRouterBatch(prompt, cartData) {
-    const makeRequest = () => fetch('https://openrouter.ai/api/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${aiApiKey}`,
-            'HTTP-Referer': 'https://yupoo.com',
-            'X-Title': 'YuCart Extension'
-        },
-        body: JSON.stringify({
-            model: 'z-ai/glm-4.5-air:free',
-            messages: [
-                { role: 'system', content: 'You clean up messy e-commerce product names. You always respond with valid JSON only. No thinking, no explanation.' },
-                { role: 'user', content: prompt }
-            ],
-            max_tokens: 2000,
-            temperature: 0.1
-        })
-    });
-
-    let response = await makeRequest();
+// Reconnect to a job still working on the active haul (started before the popup was last closed)
+async function loadAiJob() {
+    const resp = await chrome.runtime.sendMessage({ action: 'getAiJobs' });
+    const job = findActiveHaulJob(resp?.jobs || []);
+    if (job) showAiJob(job);
+}
 
-    // Retry on rate limit (429) with backoff
-    if (response.status === 429) {
-        for (let retry = 1; retry <= 3; retry++) {
-            await new Promise(resolve => setTimeout(resolve, retry * 3000));
-            response = await makeRequest();
-            if (response.status !== 429) break;
-        }
-    }
+function handleAiJobsChanged(jobs) {
+    const job = jobs.find(j => j.id === aiJob?.id) || findActiveHaulJob(jobs);
+    if (job) showAiJob(job);
+}
 
-    if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        throw new Error(error.error?.message || `HTTP ${response.status}`);
+async function showAiJob(job) {
+    const previous = aiJob?.id === job.id ? aiJob : null;
+    aiJob = job;
+    const active = isAiJobActive(job);
+
+    const button = document.getElementById(AI_JOB_KINDS[job.kind].button);
+    button.classList.toggle('btn--star--loading', active);
+    button.disabled = active;
+    document.getElementById('aiLoadingBar').classList.toggle('ai-loading-bar--active', active);
+
+    // Results are already saved by the service worker; pick them up
+    if (job.haulId === activeHaulId && (job.completed !== previous?.completed || !active)) {
+        const uncleaned = new Set(cart.filter(item => !item.cleanedTitle).map(item => item.id));
+        const cartResp = await chrome.runtime.sendMessage({ action: 'getCart' });
+        if (aiJob !== job) return; // a newer update took over
+        cart = cartResp?.cart || cart;
+        render();
+        unblurTitles(cart.filter(item => item.cleanedTitle && uncleaned.has(item.id)).map(item => item.id));
     }
 
-    const data = await response.json();
-    const message = data.choices?.[0]?.message;
-    let text = message?.content?.trim();
-
-    // GLM 4.5 Air sometimes puts output in reasoning field
-    if (!text && message?.reasoning) {
-        text = message.reasoning;
+    if (active) {
+        // Items still waiting for a new name keep the blur loading effect across re-renders
+        if (job.kind === 'clean' && job.haulId === activeHaulId) markTitlesLoading(job.pendingIds);
+        setAiProgress(describeAiJob(job));
+        return;
     }
 
-    if (!text) throw new Error('No response from AI');
-    console.log('[YuCart] AI raw response:', text);
-    return parseAIJsonResponse(text);
+    aiJob = null;
+    setAiProgress('');
+    if (previous && isAiJobActive(previous)) showAiJobResult(job);
 }
 
-function parseDataUrl(dataUrl) {
-    const match = /^data:(.*?);base64,(.*)$/.exec(dataUrl || '');
-    if (!match) return null;
-    return { mimeType: match[1] || 'image/jpeg', base64: match[2] || '' };
+function describeAiJob(job) {
+    const kind = AI_JOB_KINDS[job.kind];
+    if (job.status === 'queued') return 'Waiting for another AI job…';
+    const label = job.batches > 1 ? `Batch ${job.batch} of ${job.batches}` : kind.running;
+    if (job.retry) {
+        const seconds = Math.max(0, Math.ceil((job.retry.at - Date.now()) / 1000));
+        return `${label}: ${job.retry.reason} — retry ${job.retry.attempt}/${job.retry.retries} in ${seconds}s`;
+    }
+    return `${label} · ${job.completed}/${job.total} ${kind.doneWord}`;
 }
 
-async function blobToCompressedBase64(blob) {
-    try {
-        const bitmap = await createImageBitmap(blob);
-        const maxEdge = GEMINI_MAX_IMAGE_DIMENSION;
-        let width = bitmap.width;
-        let height = bitmap.height;
-
-        if (width > maxEdge || height > maxEdge) {
-            if (width >= height) {
-                height = Math.max(1, Math.round((height * maxEdge) / width));
-                width = maxEdge;
-            } else {
-                width = Math.max(1, Math.round((width * maxEdge) / height));
-                height = maxEdge;
-            }
-        }
-
-        const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = height;
-
-        const ctx = canvas.getContext('2d', { alpha: false });
-        if (!ctx) {
-            bitmap.close();
-            return null;
-        }
-
-        ctx.drawImage(bitmap, 0, 0, width, height);
-        bitmap.close();
-
-        const dataUrl = canvas.toDataURL('image/jpeg', GEMINI_IMAGE_QUALITY);
-        return parseDataUrl(dataUrl);
-    } catch {
-        return null;
+function showAiJobResult(job) {
+    const kind = AI_JOB_KINDS[job.kind];
+    if (job.completed === 0) {
+        showToast(job.error ? 'Failed: ' + job.error : kind.allDone);
+    } else if (job.failed > 0) {
+        showToast(`${kind.doneVerb} ${job.completed} of ${job.total} · ${job.failed} failed, press ${kind.icon} to retry`);
+    } else if (job.source === 'auto') {
+        // Auto-clean leaves no undo step; names can be reset per item
+        showToast(`${kind.doneVerb} ${job.completed} new item${job.completed !== 1 ? 's' : ''}`);
+    } else {
+        // The whole job, however many batches, is one undo step
+        showUndoToast(`${kind.doneVerb} ${job.completed} item${job.completed !== 1 ? 's' : ''}`);
     }
 }
 
-async function fetchImageAsBase64(url) {
-    try {
-        if (!url) return null;
-
-        if (url.startsWith('data:')) {
-            return parseDataUrl(url);
-        }
-
-        const resp = await fetch(url);
-        if (!resp.ok) return null;
-        const blob = await resp.blob();
+async function loadAiRetryQueue() {
+    const resp = await chrome.runtime.sendMessage({ action: 'getAiRetryQueue' });
+    aiRetryEntries = resp?.entries || [];
+    renderAiRetry();
+}
 
-        const compressed = await blobToCompressedBase64(blob);
-        if (compressed) return compressed;
+// Failed lines of the active haul that still need the job's work
+function renderAiRetry() {
+    const items = new Map(cart.map(item => [item.id, item]));
+    const failed = aiRetryEntries.filter(entry => {
+        const item = entry.haulId === activeHaulId && items.get(entry.itemId);
+        return item && (entry.kind === 'clean' ? !item.cleanedTitle : !item.category);
+    });
+    const btn = document.getElementById('aiRetryBtn');
+    btn.hidden = failed.length === 0;
+    btn.textContent = `${failed.length} item${failed.length !== 1 ? 's' : ''} failed · Retry`;
+    btn.title = failed[failed.length - 1]?.error || '';
+}
 
-        return await new Promise((resolve) => {
-            const reader = new FileReader();
-            reader.onloadend = () => resolve(parseDataUrl(reader.result));
-            reader.onerror = () => resolve(null);
-            reader.readAsDataURL(blob);
-        });
-    } catch {
-        return null;
+async function handleAiRetry() {
+    const resp = await chrome.runtime.sendMessage({ action: 'retryAiFailures', haulId: activeHaulId });
+    if (!resp?.success) {
+        showToast('Failed: ' + (resp?.error || 'Unknown error'));
+        return;
     }
+    // Any other kind's job shows once this one finishes
+    showAiJob(resp.jobs[0]);
 }
 
-async function callGeminiBatch(prompt, cartData) {
-    const limitedCartData = cartData.slice(0, GEMINI_MAX_ITEMS_PER_BATCH);
+function setAiProgress(text) {
+    const el = document.getElementById('aiProgress');
+    el.textContent = text;
+    el.hidden = !text;
+}
 
-    // Build multimodal parts: text prompt + product images
-    const parts = [];
+function markTitlesLoading(ids) {
+    ids.forEach(id => {
+        document.querySelector(`.cart-item[data-id="${id}"] .cart-item__title`)?.classList.add('cart-item__title--loading');
+    });
+}
 
-    parts.push({
-        text: `You are identifying products from a Yupoo shopping cart. I will show you each product's current name, link, vendor, and its image.\n\nFor each product, figure out what it actually is by looking at the image and context. Give it a clean, readable name (5 words max). Remove all codes, model numbers, and random characters. Never include codes or numbers in the cleaned name.\n\nRespond with ONLY a JSON array, no markdown fences, no explanation:\n[{"id":"<same id>","cleaned_name":"<cleaned name>"}]`
+function unblurTitles(ids) {
+    ids.forEach(id => {
+        const el = document.querySelector(`.cart-item[data-id="${id}"] .cart-item__title`);
+        if (!el) return;
+        el.classList.remove('cart-item__title--loading');
+        el.classList.add('cart-item__title--unblur');
+        el.addEventListener('animationend', () => {
+            el.classList.remove('cart-item__title--unblur');
+        }, { once: true });
     });
+}
 
-    // Add each item with its image
-    for (const item of limitedCartData) {
-        parts.push({
-            text: `\n--- Product ---\nID: ${item.id}\nCurrent name: ${item.name}\nVendor: ${item.vendor}\nLink: ${item.link}${item.subtitle ? `\nSubtitle/Source: ${item.subtitle}` : ''}`
-        });
+// ── Clear Cart ───────────────────────────────────────────────
+async function handleClear() {
+    if (cart.length === 0) return;
+    const resp = await chrome.runtime.sendMessage({ action: 'clearCart' });
+    cart = resp?.cart || [];
+    render();
+    showUndoToast('Cart cleared');
+}
 
-        if (item.thumbnail) {
-            const imgData = await fetchImageAsBase64(item.thumbnail);
-            if (imgData) {
-                parts.push({
-                    inlineData: {
-                        mimeType: imgData.mimeType,
-                        data: imgData.base64
-                    }
-                });
-            }
-        }
+// ── Export / Import ──────────────────────────────────────────
+function handleExport(e) {
+    e.stopPropagation();
+    if (document.querySelector('.export-menu')) {
+        closeExportMenu();
+        return;
     }
 
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${aiApiKey}`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            contents: [{ parts }],
-            generationConfig: {
-                maxOutputTokens: 2000,
-                temperature: 0.1
+    const anchor = document.getElementById('exportBtn');
+    const menu = document.createElement('div');
+    menu.className = 'export-menu';
+    menu.innerHTML = `
+        <button class="export-menu__item" data-export="summary" ${cart.length === 0 ? 'disabled' : ''}>Copy text summary</button>
+        <button class="export-menu__item" data-export="active">Download haul (JSON)</button>
+        <button class="export-menu__item" data-export="all">Download all hauls (JSON)</button>
+        <button class="export-menu__item" data-export="import">Import JSON…</button>
+    `;
+    document.body.appendChild(menu);
+
+    const rect = anchor.getBoundingClientRect();
+    menu.style.top = `${rect.bottom + 4}px`;
+    menu.style.left = `${Math.max(8, rect.right - menu.offsetWidth)}px`;
+
+    menu.querySelectorAll('.export-menu__item').forEach(item => {
+        item.addEventListener('click', async (ev) => {
+            ev.stopPropagation();
+            closeExportMenu();
+            const choice = item.dataset.export;
+            if (choice === 'summary') {
+                await copyCartSummary();
+            } else if (choice === 'import') {
+                // File pickers close the popup on some platforms; import lives in the options page
+                chrome.tabs.create({ url: chrome.runtime.getURL('options/options.html#backup') });
+            } else {
+                await downloadHaulExport(choice);
             }
-        })
+        });
     });
 
-    if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        throw new Error(error.error?.message || `HTTP ${response.status}`);
-    }
+    setTimeout(() => {
+        document.addEventListener('click', closeExportMenu, { once: true });
+    }, 0);
+}
 
-    const data = await response.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
-    if (!text) throw new Error('No response from AI');
-    console.log('[YuCart] Gemini raw response:', text);
-    return parseAIJsonResponse(text);
+function closeExportMenu() {
+    document.querySelector('.export-menu')?.remove();
 }
 
-// ── Clear Cart ───────────────────────────────────────────────
-async function handleClear() {
-    if (cart.length === 0) return;
-    const resp = await chrome.runtime.sendMessage({ action: 'clearCart' });
-    cart = resp?.cart || [];
-    render();
+async function downloadHaulExport(scope) {
+    const resp = await chrome.runtime.sendMessage({ action: 'exportHauls', scope });
+    if (!resp?.data) {
+        showToast('Export failed');
+        return;
+    }
+
+    const activeHaul = hauls.find(h => h.id === activeHaulId);
+    const label = scope === 'all' ? 'all-hauls' : (activeHaul?.name || 'haul');
+    const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'haul';
+    const date = new Date().toISOString().slice(0, 10);
+
+    const blob = new Blob([JSON.stringify(resp.data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `yucart-${slug}-${date}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    showToast('✓ Export downloaded');
 }
 
-// ── Export to Clipboard ──────────────────────────────────────
-async function handleExport() {
+async function copyCartSummary() {
     if (cart.length === 0) return;
 
     const groups = {};
@@ -697,7 +1499,8 @@ async function handleExport() {
         groups[vendor].push(item);
     }
 
-    let text = '🛒 YuCart Summary\n';
+    const activeHaul = hauls.find(h => h.id === activeHaulId);
+    let text = `🛒 YuCart Summary${activeHaul ? ` — ${activeHaul.name}` : ''}\n`;
     text += '═══════════════════════════════\n\n';
 
     let grandTotal = 0;
@@ -712,6 +1515,8 @@ async function handleExport() {
             vendorTotal += lineTotal;
             const displayTitle = item.cleanedTitle || item.title;
             text += `  • ${displayTitle}\n`;
+            const variant = formatVariant(item);
+            if (variant) text += `    ${variant}\n`;
             text += `    ¥${item.price.toFixed(2)} × ${item.quantity} = ¥${lineTotal.toFixed(2)}`;
             const conv = formatConverted(lineTotal);
             if (conv) text += ` ${conv}`;
@@ -737,7 +1542,10 @@ function showCopiedToast() {
     showToast('✓ Copied to clipboard');
 }
 
-function showToast(message) {
+let toastTimer = null;
+
+// action (optional): { label, onClick } renders a button inside the toast
+function showToast(message, action = null) {
     let toast = document.querySelector('.copied-toast');
     if (!toast) {
         toast = document.createElement('div');
@@ -745,10 +1553,59 @@ function showToast(message) {
         document.body.appendChild(toast);
     }
     toast.textContent = message;
+    toast.classList.toggle('copied-toast--actionable', !!action);
+    if (action) {
+        const btn = document.createElement('button');
+        btn.className = 'copied-toast__action';
+        btn.textContent = action.label;
+        btn.addEventListener('click', () => {
+            toast.classList.remove('copied-toast--visible');
+            action.onClick();
+        }, { once: true });
+        toast.appendChild(btn);
+    }
     requestAnimationFrame(() => toast.classList.add('copied-toast--visible'));
-    setTimeout(() => {
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
         toast.classList.remove('copied-toast--visible');
-    }, 1800);
+    }, action ? 5000 : 1800);
+}
+
+// ── Undo / Redo ──────────────────────────────────────────────
+function showUndoToast(message) {
+    showToast(message, { label: 'Undo', onClick: () => handleUndoRedo('undo') });
+}
+
+async function handleUndoRedo(direction) {
+    const resp = await chrome.runtime.sendMessage({ action: direction });
+    if (!resp?.success) {
+        showToast(resp?.error || `Nothing to ${direction}`);
+        return;
+    }
+    applyHaulSummary(resp);
+    cart = resp.cart || [];
+    render();
+    if (direction === 'undo') {
+        showToast(`Undid: ${resp.label}`, resp.canRedo ? { label: 'Redo', onClick: () => handleUndoRedo('redo') } : null);
+    } else {
+        showToast(`Redid: ${resp.label}`);
+    }
+}
+
+// Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo (not while typing)
+function handleUndoShortcut(e) {
+    const target = e.target;
+    if (target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement || target?.isContentEditable) return;
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndoRedo('undo');
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleUndoRedo('redo');
+    }
 }
 
 // ── Helpers ──────────────────────────────────────────────────
@@ -824,6 +1681,7 @@ async function handleCheckout() {
     const selector = AGENT_ADD_CART_SELECTORS[agent];
     let addedCount = 0;
     let failedCount = 0;
+    const outcomes = [];
 
     try {
         for (let i = 0; i < checkoutItems.length; i++) {
@@ -840,12 +1698,15 @@ async function handleCheckout() {
 
             if (resp?.clicked) {
                 addedCount++;
+                outcomes.push({ itemId: item.id, outcome: 'added' });
                 statusEl.textContent = `✓ Added: ${displayTitle}`;
             } else if (agent === 'raw') {
                 addedCount++;
+                outcomes.push({ itemId: item.id, outcome: 'opened' });
                 statusEl.textContent = `✓ Opened: ${displayTitle}`;
             } else {
                 failedCount++;
+                outcomes.push({ itemId: item.id, outcome: 'uncertain' });
                 statusEl.textContent = `⚠ May not have added: ${displayTitle}`;
             }
 
@@ -866,6 +1727,25 @@ async function handleCheckout() {
         progressEl.textContent = '';
     }
 
+    // Move processed items into the order archive; skipped items stay in the cart
+    if (outcomes.length > 0) {
+        try {
+            const archiveResp = await chrome.runtime.sendMessage({
+                action: 'archiveOrder',
+                agent,
+                rateData,
+                outcomes
+            });
+            if (archiveResp?.success) {
+                applyHaulSummary(archiveResp);
+                cart = archiveResp.cart || [];
+                render();
+            }
+        } catch (err) {
+            console.error('[YuCart] Failed to archive order:', err);
+        }
+    }
+
     // Auto-dismiss splash
     setTimeout(() => {
         splash.style.display = 'none';
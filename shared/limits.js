@@ -0,0 +1,10 @@
+/* ============================================================
+   YuCart — Shared limits
+   Caps the service worker enforces and the content script
+   applies up front. Loaded the same way as price-parser.js.
+   ============================================================ */
+
+var YuCartLimits = YuCartLimits || Object.freeze({
+    MAX_BATCH_ITEMS: 100, // lines per "add all" batch
+    MAX_ITEM_PHOTOS: 40 // album photos kept per line (QC reference)
+});
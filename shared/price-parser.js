@@ -0,0 +1,138 @@
+/* ============================================================
+   YuCart — Price parser
+   Reads prices out of Yupoo album titles. Shared by the content
+   script (listed before content.js in the manifest) and the
+   service worker (importScripts), so both see titles the same way.
+   ============================================================ */
+
+// var: loading the file twice into one page is harmless (content.js guards the same way)
+var YuCartPrices = YuCartPrices || (function () {
+    'use strict';
+
+    // ── Price patterns ─────────────────────────────────────────
+    // Yupoo prices: "160Y", "160y", "160Yuan", "¥160", "￥160", "160元", "P160"
+    const PRICE_REGEX = [
+        /(\d[\d,.]*)\s*[Yy](?:uan)?(?:\s|$|[【\[\(]|[^\w])/,
+        /[¥￥]\s*(\d[\d,.]*)/,
+        /(\d[\d,.]*)\s*[¥￥元]/,
+        /[Pp](\d[\d,.]*)(?:\s|$|[【\[\(]|[^\w])/
+    ];
+
+    // ── Price candidates ───────────────────────────────────────
+    // A title can carry several prices: ranges ("160Y-220Y"), tiers
+    // ("鞋 280 / 盒 30", "36-39 280Y 40-45 300Y") and add-ons ("+30Y box").
+    // extractPriceChoices returns what the picker offers, in title order:
+    // [{ price, kind: 'single' | 'range' | 'tier' | 'addon' | 'combo', label }].
+    const PRICE_MARK = /[Yy¥￥元]/;
+    const RANGE_REGEX = /(?:[¥￥]\s*)?(\d[\d,.]*)\s*(?:[Yy](?:uan)?|[¥￥元])?\s*(?:-|~|～|–|—|至|to)\s*(?:[¥￥]\s*)?(\d[\d,.]*)\s*(?:[Yy](?:uan)?|[¥￥元])?/g;
+    const TIER_SEPARATOR = /[\/|｜，,;；]/;
+    const ADDON_REGEX = /盒|box|袋|bag|配件|加|add|extra|\+/i;
+    const CJK_REGEX = /[㐀-鿿]/;
+    const PRICE_LABEL_MAX_LENGTH = 16;
+
+    function parsePriceNumber(raw) {
+        const p = parseFloat(String(raw).replace(/,/g, ''));
+        return p > 0 && p < 999999 ? p : null;
+    }
+
+    function findPriceCandidates(text) {
+        const found = [];
+        const overlaps = (start, end) => found.some(c => start < c.end && end > c.start);
+
+        for (const m of text.matchAll(RANGE_REGEX)) {
+            if (!PRICE_MARK.test(m[0])) continue; // "36-39" is a size range
+            const low = parsePriceNumber(m[1]);
+            const high = parsePriceNumber(m[2]);
+            if (!low || !high || high <= low) continue;
+            const start = m.index;
+            const end = m.index + m[0].length;
+            found.push({ price: low, start, end, kind: 'range', rangeEnd: 'low' });
+            found.push({ price: high, start, end, kind: 'range', rangeEnd: 'high' });
+        }
+
+        for (const re of PRICE_REGEX) {
+            for (const m of text.matchAll(new RegExp(re.source, re.flags + 'g'))) {
+                const start = m.index + m[0].indexOf(m[1]);
+                let end = start + m[1].length;
+                const price = parsePriceNumber(m[1]);
+                if (!price || overlaps(start, end)) continue;
+                const mark = text.slice(end).match(/^\s*(?:[Yy](?:uan)?|[¥￥元])/);
+                if (mark) end += mark[0].length;
+                found.push({ price, start, end, kind: 'single' });
+            }
+        }
+
+        // Unmarked tiers ("鞋 280 / 盒 30") need labels that look like goods or
+        // add-ons, so "Yeezy 350 / Yeezy 700" stays a plain title
+        if (found.length === 0) {
+            const tiers = [];
+            let offset = 0;
+            for (const segment of text.split(TIER_SEPARATOR)) {
+                const m = segment.match(/^(.*?\D)\s*(\d{2,6})\s*$/);
+                if (m && (CJK_REGEX.test(m[1]) || ADDON_REGEX.test(m[1]))) {
+                    const start = offset + segment.search(/\d{2,6}\s*$/);
+                    tiers.push({ price: parsePriceNumber(m[2]), start, end: start + m[2].length, kind: 'tier' });
+                }
+                offset += segment.length + 1;
+            }
+            if (tiers.length >= 2) found.push(...tiers.filter(t => t.price));
+        }
+
+        found.sort((a, b) => a.start - b.start || (a.rangeEnd === 'high') - (b.rangeEnd === 'high'));
+
+        // Label each price with the text before it, back to the previous price or
+        // separator; an add-on with nothing before it ("+30Y box") uses what follows
+        const tidy = (raw) => raw
+            .replace(/^[\s:：\-–—+()（）【】\[\]]+|[\s:：\-–—+()（）【】\[\]]+$/g, '')
+            .slice(0, 40);
+        let prevEnd = 0;
+        let context = '';
+        found.forEach((c, i) => {
+            if (c.rangeEnd !== 'high') {
+                context = text.slice(prevEnd, c.start).split(TIER_SEPARATOR).pop();
+                prevEnd = c.end;
+            }
+            let label = tidy(context).slice(-PRICE_LABEL_MAX_LENGTH);
+            if (c.kind === 'range') {
+                const end = c.rangeEnd === 'low' ? 'Lowest' : 'Highest';
+                c.label = label ? `${label} · ${end}` : end;
+            } else if (found.length > 1) {
+                c.kind = ADDON_REGEX.test(context) ? 'addon' : 'tier';
+                if (!label && c.kind === 'addon') {
+                    const next = found.find(n => n.start >= c.end);
+                    label = tidy(text.slice(c.end, next ? next.start : undefined).split(TIER_SEPARATOR)[0])
+                        .slice(0, PRICE_LABEL_MAX_LENGTH);
+                }
+                c.label = label || (c.kind === 'addon' ? 'Add-on' : i === 0 ? 'Item' : `Price ${i + 1}`);
+            }
+        });
+
+        if (found.length === 1) return [{ price: found[0].price, kind: 'single', label: '' }];
+        return found.map(c => ({ price: c.price, kind: c.kind, label: c.label }));
+    }
+
+    function extractPriceChoices(text) {
+        const candidates = findPriceCandidates(text);
+        if (candidates.length <= 1) return candidates;
+
+        // One base price plus add-ons: also offer "base + add-on"
+        const bases = candidates.filter(c => c.kind !== 'addon');
+        const addons = candidates.filter(c => c.kind === 'addon');
+        const choices = [...candidates];
+        if (bases.length === 1) {
+            addons.forEach(addon => choices.push({
+                price: Math.round((bases[0].price + addon.price) * 100) / 100,
+                kind: 'combo',
+                label: `${bases[0].label} + ${addon.label}`
+            }));
+        }
+        return choices;
+    }
+
+    // Drop the leading "160Y" / "160Y-220Y" from a title
+    function stripLeadingPrice(titleText) {
+        return titleText.replace(/^\d[\d,.]*\s*(?:[Yy](?:uan)?)?\s*(?:(?:-|~|～|–|—|至)\s*\d[\d,.]*\s*)?[Yy](?:uan)?\s*/, '').trim() || titleText;
+    }
+
+    return { parsePriceNumber, extractPriceChoices, stripLeadingPrice };
+})();
@@ -0,0 +1,19 @@
+/* ============================================================
+   YuCart — Shared storage keys
+   Storage keys and the image database read by more than one
+   context: service worker, content script, popup and options.
+   Keys only the service worker touches stay there.
+   Loaded the same way as price-parser.js, plus a script tag
+   in popup.html and options.html.
+   ============================================================ */
+
+var YuCartKeys = YuCartKeys || Object.freeze({
+    HAULS_KEY: 'yucart_hauls', // local
+    SETTINGS_KEY: 'yucart_settings', // sync
+    VENDORS_KEY: 'yucart_vendors', // local
+    SYNC_STATUS_KEY: 'yucart_sync_status', // local
+    AI_JOBS_KEY: 'yucart_ai_jobs', // local
+    AI_RETRY_KEY: 'yucart_ai_retry', // local
+    IMAGE_DB_NAME: 'yucart_images', // IndexedDB
+    IMAGE_STORE: 'images'
+});